@@ -1,20 +1,27 @@
 // ==UserScript==
 // @name         Gemini Model Usage Tracker (Daily/Calendar)
 // @namespace    http://tampermonkey.net/
-// @version      0.5.3
-// @description  Tracks usage count for different Gemini AI models per day (UTC) with a calendar selector, modern UI, and editing capabilities (locked by Developer Mode).
+// @version      0.6.0
+// @description  Tracks usage count for different Gemini AI models per day (UTC or a configurable timezone) with a calendar selector, modern UI, and editing capabilities (locked by Developer Mode).
 // @author       InvictusNavarchus
 // @match        https://gemini.google.com/*
 // @icon         https://www.gstatic.com/lamda/images/gemini_sparkle_v002_d4735304ff6292a690345.svg
 // @grant        GM_setValue
 // @grant        GM_getValue
+// @grant        GM_deleteValue
+// @grant        GM_addValueChangeListener
 // @grant        GM_addStyle
 // @grant        GM_registerMenuCommand
 // @grant        GM_getResourceText
+// @grant        GM_notification
+// @grant        GM_xmlhttpRequest
+// @connect      localhost
+// @connect      127.0.0.1
 // @require      https://cdn.jsdelivr.net/npm/@violentmonkey/dom@2
 // @require      https://cdn.jsdelivr.net/npm/flatpickr@4.6.13/dist/flatpickr.min.js
 // @resource     flatpickrCSS https://cdn.jsdelivr.net/npm/flatpickr@4.6.13/dist/flatpickr.min.css
-// @resource     flatpickrTheme https://cdn.jsdelivr.net/npm/flatpickr@4.6.13/dist/themes/dark.css
+// @resource     flatpickrDarkTheme https://cdn.jsdelivr.net/npm/flatpickr@4.6.13/dist/themes/dark.css
+// @resource     flatpickrLightTheme https://cdn.jsdelivr.net/npm/flatpickr@4.6.13/dist/themes/light.css
 // @downloadURL  https://raw.githubusercontent.com/InvictusNavarchus/gemini-usage-tracker/master/gemini-usage-tracker.user.js
 // @updateURL    https://raw.githubusercontent.com/InvictusNavarchus/gemini-usage-tracker/master/gemini-usage-tracker.user.js
 // ==/UserScript==
@@ -23,43 +30,180 @@
     'use strict';
 
     const STORAGE_KEY_DAILY = 'geminiModelUsageCountsDaily'; // Changed key for new structure
+    const LEGACY_STORAGE_KEY = 'geminiModelUsageCounts'; // Pre-daily layout: flat model → total count
+    const STORAGE_KEY_BACKUPS = 'geminiTrackerMigrationBackups'; // Raw values saved before each migration
+    const STORAGE_KEY_QUARANTINE = 'geminiTrackerQuarantine'; // Stored data that couldn't be repaired
+    const CURRENT_SCHEMA_VERSION = 2;
+    const NEWER_SCHEMA_TOAST_MS = 15000;
+    const MAX_MIGRATION_BACKUPS = 5;
+    const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
     const UI_VISIBLE_KEY = 'geminiModelUsageUIVisible';
+    const LAYOUT_KEY = 'geminiTrackerLayout'; // Panel position/size, docking, toggle position and mini HUD mode
+    const STORAGE_KEY_SETTINGS = 'geminiTrackerSettings'; // One validated object holding every SETTINGS_SCHEMA preference
+    // Pre-settings-object keys, folded into STORAGE_KEY_SETTINGS by migrateLegacySettings
+    const THEME_KEY = 'geminiTrackerTheme';
     const DEV_MODE_KEY = 'geminiTrackerDevModeEnabled';
-    const UTC_TIMEZONE = 'UTC'; // Changed from PACIFIC_TIMEZONE to UTC_TIMEZONE
+    const STORAGE_KEY_LIMITS = 'geminiModelUsageLimits'; // Per-model daily quotas and warning thresholds
+    const QUOTA_GUARD_KEY = 'geminiTrackerQuotaGuardEnabled'; // Legacy, see STORAGE_KEY_SETTINGS
+    const STORAGE_KEY_EVENTS = 'geminiModelUsageEvents'; // Append-only log of individual usage events
+    const GEM_NAME_SELECTOR = 'bot-info-card .bot-name, [data-test-id="bot-name"], .bot-name'; // Gem title in a Gem chat's header
+    const EVENT_MAX_ENTRIES = 10000; // Hard cap so GM storage can't grow without bound
+    const DEFAULT_TIMEZONE = 'UTC'; // Days are bucketed in UTC unless a day boundary is configured
+    const DAY_BOUNDARY_KEY = 'geminiTrackerDayBoundary'; // Bucketing timezone, reset hour and change history
+    const LOCAL_TIMEZONE = 'local'; // Sentinel meaning "whatever zone the browser is in"
+    const STORAGE_KEY_MODEL_REGISTRY = 'geminiTrackerModelRegistry'; // User-editable models, aliases and hidden flags
+    const STORAGE_KEY_DETECTION_STRATEGIES = 'geminiTrackerDetectionStrategies'; // Ordered model-detection selectors
+    const STORAGE_KEY_DETECTION_STATS = 'geminiTrackerDetectionStats'; // Which strategy matched, failure counts
+    const UNKNOWN_MODEL = 'Unknown'; // Recorded when no strategy finds the model, so the prompt isn't lost
+    const DETECTION_STATS_DAYS = 30; // Per-day detection stats kept for the failure rate
+    const CHART_DAYS_KEY = 'geminiTrackerChartDays'; // Legacy, see STORAGE_KEY_SETTINGS
+    const CHART_DAY_OPTIONS = [7, 14, 30];
+    const RESPONSE_CONFIRMATION_KEY = 'geminiTrackerResponseConfirmationEnabled'; // Legacy, see STORAGE_KEY_SETTINGS
+    const STORAGE_KEY_OUTCOMES = 'geminiTrackerSubmissionOutcomes'; // Per day/model: errors, quota refusals, no response
+    const STORAGE_KEY_LIMIT_HITS = 'geminiTrackerLimitHits'; // Gemini's own "limit reached" notices, first per model per day
+    const LIMIT_SUGGESTION_SAMPLES = 10; // Most recent limit hits used to suggest a daily limit
+    const COUNTS_LOCK_NAME = 'gemini-tracker-counts'; // Web Lock serialising count writes across tabs
+    const SYNC_CHANNEL_NAME = 'gemini-tracker-sync'; // BroadcastChannel fallback without GM_addValueChangeListener
+    const APPLIED_EVENT_IDS_LIMIT = 500; // Recent event ids kept with the counts, so lost writes can be detected
+    const PENDING_EVENT_TTL_MS = 120000; // How long this tab checks that its own writes survived
+    const STORAGE_KEY_SYNC_SETTINGS = 'geminiTrackerSyncSettings'; // Opt-in team sync: endpoint, bearer token, client id
+    const STORAGE_KEY_SYNC_QUEUE = 'geminiTrackerSyncQueue'; // Usage events waiting to be pushed to the endpoint
+    const SYNC_BATCH_SIZE = 100;
+    const SYNC_RETRY_BASE_MS = 5000; // First retry delay; doubles per consecutive failure
+    const SYNC_RETRY_MAX_MS = 600000;
+    const SYNC_REQUEST_TIMEOUT_MS = 15000;
+    const TEAM_TOTALS_MAX_AGE_MS = 60000; // How long fetched team totals are shown before being re-fetched
+    const STORAGE_KEY_AUDIT_LOG = 'geminiTrackerAuditLog'; // Manual edits, resets and reverts with old/new values
+    const AUDIT_LOG_MAX_ENTRIES = 500;
+    const TOAST_DURATION_MS = 8000;
+    const BULK_EDIT_MAX_DAYS = 366;
+    const STORAGE_KEY_HOTKEYS = 'geminiTrackerHotkeys'; // User-configured keyboard shortcuts
+    const STORAGE_KEY_ALERT_RULES = 'geminiTrackerAlertRules'; // Milestone alert rules (limit %, use counts, first use, day reset)
+    const STORAGE_KEY_ALERT_STATE = 'geminiTrackerAlertState'; // Which rules fired today, and the last day seen
+    const SNAP_DISTANCE_PX = 24; // Dropping this close to a viewport edge snaps flush to it
+    const EDGE_MARGIN_PX = 8;
+    const DRAG_THRESHOLD_PX = 4; // Smaller pointer movements are clicks, not drags
+    const MIN_PANEL_WIDTH_PX = 260;
+    const DEFAULT_SIDEBAR_WIDTH_PX = 340;
+    const MINI_HUD_UPDATE_DELAY_MS = 250; // Lets the model switcher's animations settle before the HUD re-reads it
 
-    let selectedDate = getCurrentUTCDateString(); // Initialize with today's UTC date
+    let selectedDate = getCurrentDateString(); // Initialize with today's date in the configured zone
+    let selectedRange = null; // { start, end } while the panel shows a date range instead of one day
+    let activeRangePreset = 'day'; // 'day', a key of RANGE_PRESETS, or 'custom'
 
     // --- Model Definitions ---
-    const modelNames = {
-        '2.0 Flash': '2.0 Flash',
-        '2.5 Flash': '2.5 Flash',
-        '2.5 Pro': '2.5 Pro',
-        'Deep Research': 'Deep Research',
-        'Personalization': 'Personalization',
-        'Veo 2': 'Veo 2',
-        // Add more specific model names as they appear in the UI
+    // Starting registry for new installs. Users add, rename, alias and hide models from the panel;
+    // the edited registry is stored under STORAGE_KEY_MODEL_REGISTRY.
+    const DEFAULT_MODEL_REGISTRY = [
+        { name: '2.0 Flash', aliases: [], hidden: false },
+        { name: '2.5 Flash', aliases: [], hidden: false },
+        { name: '2.5 Pro', aliases: [], hidden: false },
+        { name: 'Deep Research', aliases: [], hidden: false },
+        { name: 'Personalization', aliases: [], hidden: false },
+        { name: 'Veo 2', aliases: [], hidden: false },
+    ];
+
+    // --- Model Detection Strategies ---
+    // Tried in order; the first enabled selector whose element has text wins. Users can reorder, disable
+    // and add selectors from the panel's Detection section when Gemini ships a DOM change.
+    const DEFAULT_DETECTION_STRATEGIES = [
+        { id: 'mode-switch-button', label: 'Mode switch button', selector: 'button.gds-mode-switch-button.mat-mdc-button-base .logo-pill-label-container span', enabled: true },
+        { id: 'attribution-text', label: 'Mode switcher attribution text', selector: 'bard-mode-switcher [data-test-id="attribution-text"] span', enabled: true },
+        { id: 'current-mode-title', label: 'Current mode title (legacy)', selector: '.current-mode-title span', enabled: true },
+    ];
+
+    // --- Keyboard Shortcut Defaults ---
+    // Alt+Shift + letter combos so they work while the prompt box has focus without clashing with typing.
+    // Not arrows: Alt+Shift+←/→ is word selection (Option+Shift on macOS).
+    const DEFAULT_HOTKEYS = {
+        togglePanel: 'Alt+Shift+U',
+        previousDay: 'Alt+Shift+P',
+        nextDay: 'Alt+Shift+N',
+        today: 'Alt+Shift+T',
+    };
+    // Keys that move the caret or edit text; inside a text field they're never taken over, whatever the modifiers
+    const EDITING_KEY_PATTERN = /^(?:Arrow(?:Left|Right|Up|Down)|Home|End|PageUp|PageDown|Backspace|Delete|Enter|Tab)$/;
+    const HOTKEY_LABELS = {
+        togglePanel: 'Show/hide panel',
+        previousDay: 'Previous day',
+        nextDay: 'Next day',
+        today: 'Jump to today',
+    };
+
+    // --- Quota Defaults ---
+    // Daily limit per model (null = no limit). User overrides are stored under STORAGE_KEY_LIMITS.
+    const defaultModelLimits = {
+        '2.0 Flash': null,
+        '2.5 Flash': null,
+        '2.5 Pro': null,
+        'Deep Research': null,
+        'Personalization': null,
+        'Veo 2': null,
     };
+    // Percent of the daily limit at which a model turns amber (warning) and red (danger)
+    const DEFAULT_QUOTA_THRESHOLDS = { warning: 80, danger: 100 };
 
     // --- Helper Functions ---
 
+    // --- Day Boundary ---
+
+    function resolveTimeZone(timeZone) {
+        return timeZone === LOCAL_TIMEZONE ? Intl.DateTimeFormat().resolvedOptions().timeZone : timeZone;
+    }
+
+    function isValidTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-CA', { timeZone: resolveTimeZone(timeZone) });
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Loads the day boundary setting. `history` lists earlier settings with the first date each applied to,
+     * so days recorded before a change can still be labelled with the zone they were bucketed in.
+     * @returns {{timeZone: string, resetHour: number, history: Array<{effectiveFrom: string, timeZone: string, resetHour: number}>}}
+     */
+    function getDayBoundary() {
+        const boundary = { timeZone: DEFAULT_TIMEZONE, resetHour: 0, history: [] };
+        try {
+            const stored = JSON.parse(GM_getValue(DAY_BOUNDARY_KEY, '{}'));
+            if (stored && typeof stored.timeZone === 'string' && isValidTimeZone(stored.timeZone)) {
+                boundary.timeZone = stored.timeZone;
+            }
+            if (stored && Number.isInteger(stored.resetHour) && stored.resetHour >= 0 && stored.resetHour <= 23) {
+                boundary.resetHour = stored.resetHour;
+            }
+            if (stored && Array.isArray(stored.history)) {
+                boundary.history = stored.history.filter(entry => entry && DATE_KEY_PATTERN.test(entry.effectiveFrom));
+            }
+        } catch (e) {
+            console.error("Gemini Tracker: Error parsing day boundary, using UTC.", e);
+        }
+        return boundary;
+    }
+
     /**
-     * Gets the current date string (YYYY-MM-DD) in UTC.
-     * @returns {string} Date string or throws error if formatting fails.
+     * Gets the YYYY-MM-DD day a timestamp belongs to: the day in the configured zone, where each day
+     * starts at the configured reset hour instead of midnight.
+     * @param {number} timestamp Milliseconds since epoch.
+     * @returns {string} Date string.
      */
-    function getCurrentUTCDateString() {
+    function getDateStringForTimestamp(timestamp, boundary = getDayBoundary()) {
         try {
-            const now = new Date();
+            const shifted = new Date(timestamp - boundary.resetHour * 60 * 60 * 1000);
             const formatter = new Intl.DateTimeFormat('en-CA', { // 'en-CA' gives YYYY-MM-DD
-                timeZone: UTC_TIMEZONE,
+                timeZone: resolveTimeZone(boundary.timeZone),
                 year: 'numeric',
                 month: '2-digit',
                 day: '2-digit'
             });
-            return formatter.format(now);
+            return formatter.format(shifted);
         } catch (e) {
-            console.error("Gemini Tracker: Error getting UTC date.", e);
+            console.error("Gemini Tracker: Error getting date in configured timezone.", e);
             // Fallback to local date (less ideal but prevents complete failure)
-            const today = new Date();
+            const today = new Date(timestamp);
             const yyyy = today.getFullYear();
             const mm = String(today.getMonth() + 1).padStart(2, '0');
             const dd = String(today.getDate()).padStart(2, '0');
@@ -68,56 +212,217 @@
         }
     }
 
+    /**
+     * Gets the current date string (YYYY-MM-DD) under the configured day boundary.
+     * @returns {string} Date string.
+     */
+    function getCurrentDateString() {
+        return getDateStringForTimestamp(Date.now());
+    }
+
+    function setDayBoundary(timeZone, resetHour) {
+        if (!isValidTimeZone(timeZone) || !Number.isInteger(resetHour) || resetHour < 0 || resetHour > 23) {
+            console.warn(`Gemini Tracker: Invalid day boundary "${timeZone}" / ${resetHour}.`);
+            return false;
+        }
+        const current = getDayBoundary();
+        if (current.timeZone === timeZone && current.resetHour === resetHour) return true;
+
+        const next = { timeZone, resetHour, history: current.history.slice() };
+        // Remember what earlier days were bucketed with; if no history exists yet they used the default
+        if (next.history.length === 0) {
+            next.history.push({ effectiveFrom: '0000-01-01', timeZone: current.timeZone, resetHour: current.resetHour });
+        }
+        next.history.push({ effectiveFrom: getDateStringForTimestamp(Date.now(), next), timeZone, resetHour });
+        GM_setValue(DAY_BOUNDARY_KEY, JSON.stringify(next));
+        console.log(`Gemini Tracker: Day boundary set to ${describeDayBoundary(next)}.`);
+        return true;
+    }
+
+    // The boundary that was in effect when a given day was recorded
+    function getDayBoundaryForDate(dateString) {
+        const boundary = getDayBoundary();
+        const applicable = boundary.history.filter(entry => entry.effectiveFrom <= dateString).pop();
+        return applicable || boundary;
+    }
+
+    function describeDayBoundary({ timeZone, resetHour }) {
+        const zone = timeZone === LOCAL_TIMEZONE ? `local time (${resolveTimeZone(timeZone)})` : timeZone;
+        return resetHour ? `${zone}, day starts ${String(resetHour).padStart(2, '0')}:00` : zone;
+    }
+
+    function promptForDayBoundary() {
+        const current = getDayBoundary();
+        const timeZone = prompt("Bucket days in which timezone? Enter an IANA zone (e.g. Europe/Berlin), \"UTC\", or \"local\" for the browser's zone:", current.timeZone);
+        if (timeZone === null) return;
+        const resetHourInput = prompt("Hour (0-23) at which a new day starts in that zone:", String(current.resetHour));
+        if (resetHourInput === null) return;
+        const resetHour = Number(resetHourInput.trim());
+        if (!setDayBoundary(timeZone.trim(), resetHour)) {
+            alert("Invalid timezone or reset hour.");
+            return;
+        }
+        selectedDate = getCurrentDateString();
+        if (flatpickrInstance) {
+            flatpickrInstance.set('maxDate', selectedDate);
+        }
+        refreshPanel();
+    }
+
+    /**
+     * Moves a YYYY-MM-DD string by a number of days (calendar arithmetic, independent of timezone).
+     * @param {string} dateString
+     * @param {number} days Negative to go back.
+     * @returns {string}
+     */
+    function shiftDateString(dateString, days) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+    }
+
+    // Inclusive list of YYYY-MM-DD strings from start to end
+    function enumerateDates(startDate, endDate) {
+        const dates = [];
+        for (let date = startDate; date <= endDate; date = shiftDateString(date, 1)) {
+            dates.push(date);
+        }
+        return dates;
+    }
+
     // Add specific function to track Deep Research confirmations
     function trackDeepResearchConfirmation() {
         document.body.addEventListener('click', function (event) {
             // Look for the "Start research" button using the data-test-id attribute
             const confirmButton = event.target.closest('button[data-test-id="confirm-button"]');
             if (confirmButton) {
+                if (interceptIfQuotaExhausted(event, 'Deep Research', () => confirmButton.click())) {
+                    return;
+                }
+                noteTrackedSubmission();
                 // When the button is clicked, increment the count for Deep Research model
                 console.log("Gemini Tracker: Deep Research confirmation detected. Incrementing count for 'Deep Research'");
-                incrementCount('Deep Research'); // This handles date logic internally
+                incrementCount('Deep Research', 'deep-research'); // This handles date logic internally
             }
         }, true); // Use capture phase
         console.log("Gemini Tracker: Deep Research confirmation listener attached to body.");
     }
 
-    function loadAllCounts() {
-        const storedData = GM_getValue(STORAGE_KEY_DAILY, '{}');
-        try {
-            const allCounts = JSON.parse(storedData);
-            // Basic validation (ensure it's an object)
-            if (typeof allCounts !== 'object' || allCounts === null) {
-                console.warn("Gemini Tracker: Stored data is not an object, resetting.");
-                return {};
+    /**
+     * Validates a date → model → count map in place. Shared by storage loading, migrations and imports.
+     * Numeric strings are repaired; anything else that's invalid is removed and reported.
+     * @param {*} allCounts Parsed data to validate.
+     * @param {function(string, ?{date?: string, model?: string, value: *}): void} [onProblem] Receives a
+     *     description of each problem, plus the removed entry when it couldn't be repaired.
+     * @returns {Object|null} The cleaned map, or null if the data isn't an object at all.
+     */
+    function sanitizeCounts(allCounts, onProblem = () => {}) {
+        // Basic validation (ensure it's an object)
+        if (typeof allCounts !== 'object' || allCounts === null || Array.isArray(allCounts)) {
+            onProblem("Data is not an object.", { value: allCounts });
+            return null;
+        }
+        Object.keys(allCounts).forEach(dateKey => {
+            const dailyCounts = allCounts[dateKey];
+            if (!DATE_KEY_PATTERN.test(dateKey) || typeof dailyCounts !== 'object' || dailyCounts === null || Array.isArray(dailyCounts)) {
+                onProblem(`Invalid data for date ${dateKey}, removing.`, { date: dateKey, value: dailyCounts });
+                delete allCounts[dateKey];
+                return;
             }
-            // Optional: Deeper validation per date entry if needed
-            Object.keys(allCounts).forEach(dateKey => {
-                if (typeof allCounts[dateKey] !== 'object' || allCounts[dateKey] === null) {
-                    console.warn(`Gemini Tracker: Invalid data for date ${dateKey}, removing.`);
-                    delete allCounts[dateKey];
+            Object.keys(dailyCounts).forEach(modelKey => {
+                const value = dailyCounts[modelKey];
+                if (typeof value === 'number' && Number.isFinite(value) && value >= 0) return;
+                if (typeof value === 'string' && /^\s*\d+\s*$/.test(value)) {
+                    dailyCounts[modelKey] = parseInt(value, 10);
+                    onProblem(`Repaired count for ${modelKey} on ${dateKey} ("${value}" → ${dailyCounts[modelKey]}).`, null);
                     return;
                 }
-                Object.keys(allCounts[dateKey]).forEach(modelKey => {
-                    if (typeof allCounts[dateKey][modelKey] !== 'number' || isNaN(allCounts[dateKey][modelKey])) {
-                        console.warn(`Gemini Tracker: Invalid count for ${modelKey} on ${dateKey}, resetting to 0.`);
-                        allCounts[dateKey][modelKey] = 0;
-                    }
-                });
+                onProblem(`Invalid count for ${modelKey} on ${dateKey}, removing.`, { date: dateKey, model: modelKey, value });
+                delete dailyCounts[modelKey];
             });
+        });
+        return allCounts;
+    }
+
+    // The last parsed counts value, keyed by the raw string it came from: { raw, allCounts, appliedEventIds, schemaVersion }
+    let storedCountsCache = null;
+
+    /**
+     * Parses the stored counts, reusing the previous parse while storage still holds the same string, since
+     * a single render reads the counts many times.
+     * @returns {{allCounts: Object<string, Object<string, number>>, appliedEventIds: string[], schemaVersion: ?number}}
+     *     Shared with later callers, so don't modify it; loadAllCounts hands out copies.
+     */
+    function readStoredCounts() {
+        const storedData = GM_getValue(STORAGE_KEY_DAILY, null);
+        if (storedCountsCache && storedCountsCache.raw === storedData) return storedCountsCache;
+        const stored = parseStoredCounts(storedData);
+        // Repairs re-save the value, so key the cache to what storage holds now
+        storedCountsCache = { raw: GM_getValue(STORAGE_KEY_DAILY, null), ...stored };
+        return storedCountsCache;
+    }
 
-            return allCounts;
+    function parseStoredCounts(storedData) {
+        const empty = { allCounts: {}, appliedEventIds: [], schemaVersion: null };
+        if (storedData === null) return empty;
+        let parsed;
+        try {
+            parsed = JSON.parse(storedData);
         } catch (e) {
-            console.error("Gemini Tracker: Error parsing stored daily counts.", e);
-            return {}; // Return empty object on error
+            console.error("Gemini Tracker: Error parsing stored daily counts, quarantining the raw value.", e);
+            quarantineEntries([{ reason: 'Unparseable daily counts', value: storedData }]);
+            saveAllCounts({}, [], empty);
+            return empty;
+        }
+
+        const isVersioned = parsed && typeof parsed === 'object' && typeof parsed.schemaVersion === 'number';
+        const stored = {
+            appliedEventIds: isVersioned && Array.isArray(parsed.appliedEventIds) ? parsed.appliedEventIds : [],
+            schemaVersion: isVersioned ? parsed.schemaVersion : null
+        };
+        if (isVersioned && parsed.schemaVersion > CURRENT_SCHEMA_VERSION) {
+            // Read-only: repairing (and so re-saving or quarantining) it here would downgrade the newer layout
+            reportNewerSchema(parsed.schemaVersion);
+            return { ...stored, allCounts: sanitizeCounts(parsed.days) || {} };
+        }
+
+        const unrepairable = [];
+        let repaired = false;
+        const allCounts = sanitizeCounts(isVersioned ? parsed.days : parsed, (problem, entry) => {
+            console.warn(`Gemini Tracker: ${problem}`);
+            repaired = true;
+            if (entry) unrepairable.push({ reason: problem, ...entry });
+        });
+        if (!allCounts) {
+            quarantineEntries(unrepairable);
+            saveAllCounts({}, [], stored);
+            return { ...stored, allCounts: {} };
+        }
+        if (repaired) {
+            // Persist the fix so the same entries aren't quarantined again on every read
+            quarantineEntries(unrepairable);
+            saveAllCounts(allCounts, [], stored);
         }
+        return { ...stored, allCounts };
+    }
+
+    // Copies deep enough for callers to add or change per-model counts
+    function cloneCounts(allCounts) {
+        const copy = {};
+        Object.keys(allCounts).forEach(dateKey => {
+            copy[dateKey] = { ...allCounts[dateKey] };
+        });
+        return copy;
+    }
+
+    function loadAllCounts() {
+        return cloneCounts(readStoredCounts().allCounts);
     }
 
     function getCountsForDate(dateString) {
         const allCounts = loadAllCounts();
         const dailyCounts = allCounts[dateString] || {};
-        // Ensure all defined models have a 0 entry for the requested day if not present
-        Object.values(modelNames).forEach(name => {
+        // Ensure all visible defined models have a 0 entry for the requested day if not present
+        getModelNames().forEach(name => {
             if (!(name in dailyCounts)) {
                 dailyCounts[name] = 0;
             }
@@ -125,462 +430,3890 @@
         return dailyCounts;
     }
 
-    function saveAllCounts(allCounts) {
+    /**
+     * @param {Object<string, Object<string, number>>} allCounts
+     * @param {string[]} [appliedEventIds] Ids of events whose deltas this write applies; added to the stored
+     *     ring of recent ids that other tabs check to spot writes that were overwritten.
+     * @param {{appliedEventIds: string[], schemaVersion: ?number}} [stored] The value being replaced, as returned
+     *     by readStoredCounts; writers inside the counts lock pass the one they already read.
+     * @returns {boolean} False when nothing was written, e.g. because storage holds a newer schema.
+     */
+    function saveAllCounts(allCounts, appliedEventIds = [], stored = readStoredCounts()) {
+        if (stored.schemaVersion > CURRENT_SCHEMA_VERSION) {
+            console.warn("Gemini Tracker: Not saving daily counts; they were written by a newer version of the script.");
+            return false;
+        }
         // Add validation before saving if desired (e.g., ensure counts are numbers)
         try {
-            GM_setValue(STORAGE_KEY_DAILY, JSON.stringify(allCounts));
+            const recentIds = stored.appliedEventIds.concat(appliedEventIds).slice(-APPLIED_EVENT_IDS_LIMIT);
+            const raw = JSON.stringify({ schemaVersion: CURRENT_SCHEMA_VERSION, days: allCounts, appliedEventIds: recentIds });
+            GM_setValue(STORAGE_KEY_DAILY, raw);
+            // The next read in this tab needn't parse what was just written
+            storedCountsCache = { raw, allCounts: sanitizeCounts(cloneCounts(allCounts)), appliedEventIds: recentIds, schemaVersion: CURRENT_SCHEMA_VERSION };
+            return true;
         } catch (e) {
             console.error("Gemini Tracker: Error saving daily counts.", e);
+            return false;
         }
     }
 
-    function getCurrentModelName() {
-        // Try finding the model name using the new mat-flat-button structure first
-        const modelButton = document.querySelector('button.gds-mode-switch-button.mat-mdc-button-base .logo-pill-label-container span');
-        let rawText = null;
-
-        if (modelButton && modelButton.textContent) {
-            rawText = modelButton.textContent.trim();
-        } else {
-            // Try the previous selector (data-test-id)
-            const modelElement = document.querySelector('bard-mode-switcher [data-test-id="attribution-text"] span');
+    // --- Storage Schema & Migrations ---
 
-            if (modelElement && modelElement.textContent) {
-                rawText = modelElement.textContent.trim();
-            } else {
-                // Fallback selector (less reliable, might change)
-                const fallbackElement = document.querySelector('.current-mode-title span');
-                if (fallbackElement && fallbackElement.textContent) {
-                    rawText = fallbackElement.textContent.trim();
-                }
-            }
+    function loadJSONArray(key) {
+        try {
+            const value = JSON.parse(GM_getValue(key, '[]'));
+            return Array.isArray(value) ? value : [];
+        } catch (e) {
+            console.error(`Gemini Tracker: Error parsing ${key}.`, e);
+            return [];
         }
+    }
 
-        if (rawText) {
-            // Sort keys by length descending to match longest first
-            const sortedKeys = Object.keys(modelNames).sort((a, b) => b.length - a.length);
+    /**
+     * Keeps data that couldn't be repaired instead of dropping it.
+     * @param {Array<{reason: string, date?: string, model?: string, value: *}>} entries
+     */
+    function quarantineEntries(entries) {
+        if (entries.length === 0) return;
+        const quarantine = loadJSONArray(STORAGE_KEY_QUARANTINE);
+        const quarantinedAt = new Date().toISOString();
+        entries.forEach(entry => quarantine.push({ quarantinedAt, ...entry }));
+        GM_setValue(STORAGE_KEY_QUARANTINE, JSON.stringify(quarantine));
+        console.warn(`Gemini Tracker: Quarantined ${entries.length} invalid entr${entries.length === 1 ? 'y' : 'ies'}.`);
+    }
 
-            for (const key of sortedKeys) {
-                if (rawText.startsWith(key)) {
-                    return modelNames[key]; // Return the standardized name for the longest match
-                }
-            }
-            // Fallback if no specific match startsWith, maybe it's a new model
-            console.log(`Gemini Tracker: Model text "${rawText}" didn't match known prefixes, using raw text.`);
-            return rawText; // Return the raw text as a potential new model name
+    function backupRawValues(fromVersion, toVersion) {
+        const values = {};
+        [STORAGE_KEY_DAILY, LEGACY_STORAGE_KEY].forEach(key => {
+            const raw = GM_getValue(key, null);
+            if (raw !== null) values[key] = raw;
+        });
+        if (Object.keys(values).length === 0) return;
+        const backups = loadJSONArray(STORAGE_KEY_BACKUPS);
+        backups.push({ createdAt: new Date().toISOString(), fromVersion, toVersion, values });
+        GM_setValue(STORAGE_KEY_BACKUPS, JSON.stringify(backups.slice(-MAX_MIGRATION_BACKUPS)));
+    }
+
+    // Parses the daily key without going through loadAllCounts, which assumes the current layout
+    function readRawDailyValue() {
+        const raw = GM_getValue(STORAGE_KEY_DAILY, null);
+        if (raw === null) return null;
+        try {
+            return JSON.parse(raw);
+        } catch (e) {
+            return undefined; // Unparseable; loadAllCounts quarantines it
         }
+    }
 
-        console.warn("Gemini Tracker: Could not determine current model name.");
-        return null; // Indicate failure to find the model
+    /**
+     * Works out which layout is in storage.
+     * 0: only the pre-daily key exists (or it hasn't been folded in yet); 1: bare date → model → count map;
+     * 2+: wrapped as { schemaVersion, days }.
+     */
+    function detectSchemaVersion() {
+        const daily = readRawDailyValue();
+        if (daily && typeof daily.schemaVersion === 'number') return daily.schemaVersion;
+        if (GM_getValue(LEGACY_STORAGE_KEY, null) !== null) return 0;
+        return 1;
     }
 
-    function incrementCount(modelName) {
-        if (!modelName) return;
+    // Each step upgrades storage from the previous version to `version`. Append new steps; never edit old ones.
+    const MIGRATIONS = [
+        {
+            version: 1,
+            description: 'Fold pre-daily total counts into the daily map',
+            migrate() {
+                let legacyTotals;
+                try {
+                    legacyTotals = JSON.parse(GM_getValue(LEGACY_STORAGE_KEY, '{}'));
+                } catch (e) {
+                    quarantineEntries([{ reason: 'Unparseable pre-daily counts', value: GM_getValue(LEGACY_STORAGE_KEY) }]);
+                    GM_deleteValue(LEGACY_STORAGE_KEY);
+                    return;
+                }
+                const daily = readRawDailyValue();
+                const days = (daily && typeof daily === 'object') ? daily : {};
+                // The old totals carry no dates. They're placed on the day before the earliest daily record
+                // (yesterday if there is none) so they stay in the history without counting against today's quota.
+                const earliestDate = Object.keys(days).filter(key => DATE_KEY_PATTERN.test(key)).sort()[0];
+                const legacyDate = shiftDateString(earliestDate || getCurrentDateString(), -1);
+                const legacyDay = { [legacyDate]: legacyTotals };
+                const unrepairable = [];
+                sanitizeCounts(legacyDay, (problem, entry) => {
+                    if (entry) unrepairable.push({ reason: `Pre-daily counts: ${problem}`, ...entry });
+                });
+                quarantineEntries(unrepairable);
 
-        const currentUTCDate = getCurrentUTCDateString();
-        const allCounts = loadAllCounts();
+                const folded = legacyDay[legacyDate] || {};
+                if (Object.keys(folded).length > 0) {
+                    days[legacyDate] = days[legacyDate] || {};
+                    Object.keys(folded).forEach(modelName => {
+                        days[legacyDate][modelName] = (Number(days[legacyDate][modelName]) || 0) + folded[modelName];
+                    });
+                    console.log(`Gemini Tracker: Moved pre-daily totals to ${legacyDate}.`);
+                    appendUsageEvents(buildDeltaEvents({}, { [legacyDate]: folded }, 'migration'));
+                }
+                GM_setValue(STORAGE_KEY_DAILY, JSON.stringify(days));
+                GM_deleteValue(LEGACY_STORAGE_KEY);
+            },
+        },
+        {
+            version: 2,
+            description: 'Wrap daily counts with a schema version',
+            migrate() {
+                const daily = readRawDailyValue();
+                if (daily === undefined) return; // loadAllCounts quarantines unparseable data on first read
+                GM_setValue(STORAGE_KEY_DAILY, JSON.stringify({ schemaVersion: 2, days: daily || {} }));
+                loadAllCounts(); // Validate now so bad entries are quarantined during the upgrade
+            },
+        },
+    ];
 
-        // Ensure the object for the current date exists
-        if (!allCounts[currentUTCDate]) {
-            allCounts[currentUTCDate] = {};
-        }
+    let newerSchemaReported = false;
 
-        const dailyCounts = allCounts[currentUTCDate];
+    function isStoredSchemaNewer() {
+        const daily = readRawDailyValue();
+        return Boolean(daily && typeof daily.schemaVersion === 'number' && daily.schemaVersion > CURRENT_SCHEMA_VERSION);
+    }
 
-        if (dailyCounts.hasOwnProperty(modelName)) {
-            dailyCounts[modelName] = (dailyCounts[modelName] || 0) + 1;
-        } else {
-            // If it's a newly detected model name (returned as rawText), add it
-            console.log(`Gemini Tracker: Detected new model '${modelName}' on ${currentUTCDate}, adding to tracker.`);
-            dailyCounts[modelName] = 1;
-            // Manually add to `modelNames` constant if it becomes permanent
+    // Once per page: data from a newer script is shown but never written, so point the user at what to do
+    function reportNewerSchema(version) {
+        if (newerSchemaReported) return;
+        newerSchemaReported = true;
+        console.warn(`Gemini Tracker: Stored data uses schema v${version}, newer than this script (v${CURRENT_SCHEMA_VERSION}). It's read-only until the script is updated; see "Gemini Tracker Storage Recovery…".`);
+        if (document.body) {
+            showToast('Usage data is from a newer tracker version; counting is paused.', { actionLabel: 'Details', onAction: showStorageRecovery, duration: NEWER_SCHEMA_TOAST_MS });
         }
+    }
 
-        saveAllCounts(allCounts);
+    // Runs on startup: brings stored data up to CURRENT_SCHEMA_VERSION, backing up raw values before each step
+    function runMigrations() {
+        let version = detectSchemaVersion();
+        for (const migration of MIGRATIONS) {
+            if (migration.version <= version) continue;
+            console.log(`Gemini Tracker: Migrating storage v${version} → v${migration.version}: ${migration.description}.`);
+            backupRawValues(version, migration.version);
+            try {
+                migration.migrate();
+                version = migration.version;
+            } catch (e) {
+                console.error(`Gemini Tracker: Migration to v${migration.version} failed; the pre-migration backup is kept.`, e);
+                return;
+            }
+        }
+    }
 
-        // Only update UI if it's visible AND showing the current UTC date
-        if (uiPanel && uiPanel.style.display === 'block' && selectedDate === currentUTCDate) {
-            updateUI(selectedDate);
+    function showStorageRecovery() {
+        const backups = loadJSONArray(STORAGE_KEY_BACKUPS);
+        const quarantine = loadJSONArray(STORAGE_KEY_QUARANTINE);
+
+        const content = document.createElement('div');
+        content.className = 'tracker-import-preview';
+        if (quarantine.length > 0) {
+            const table = document.createElement('table');
+            quarantine.slice(-50).forEach(entry => {
+                const row = table.insertRow();
+                row.insertCell().textContent = entry.quarantinedAt.slice(0, 10);
+                row.insertCell().textContent = entry.reason;
+                row.insertCell().textContent = JSON.stringify(entry.value);
+            });
+            content.appendChild(table);
         }
+
+        const schemaVersion = detectSchemaVersion();
+        const newerNote = schemaVersion > CURRENT_SCHEMA_VERSION
+            ? ` This script understands up to v${CURRENT_SCHEMA_VERSION}, so usage data is read-only and nothing new is counted until you update it.`
+            : '';
+        showTrackerDialog({
+            title: 'Storage Recovery',
+            message: `Schema v${schemaVersion}.${newerNote} ${backups.length} migration backup(s), ${quarantine.length} quarantined entr${quarantine.length === 1 ? 'y' : 'ies'}.`,
+            content,
+            buttons: [
+                { label: 'Close', value: 'close' },
+                { label: 'Clear Quarantine', value: 'clear' },
+                { label: 'Download', value: 'download', primary: true },
+            ],
+            cancelValue: 'close',
+        }, (choice) => {
+            if (choice === 'download') {
+                downloadFile(`gemini-tracker-recovery-${getCurrentDateString()}.json`, JSON.stringify({ backups, quarantine }, null, 2), 'application/json');
+            } else if (choice === 'clear' && confirm(`Permanently delete ${quarantine.length} quarantined entries?`)) {
+                GM_setValue(STORAGE_KEY_QUARANTINE, '[]');
+            }
+        });
     }
 
-    function manuallySetCount(modelName, newCount, dateStringToModify) {
-        const parsedCount = parseInt(newCount, 10);
-        if (modelName && !isNaN(parsedCount) && parsedCount >= 0 && dateStringToModify) {
-            console.log(`Gemini Tracker: Manually setting count for ${modelName} on ${dateStringToModify} to ${parsedCount}`);
-            const allCounts = loadAllCounts();
+    // --- Quota Limits ---
 
-            // Ensure the object for the target date exists
-            if (!allCounts[dateStringToModify]) {
-                allCounts[dateStringToModify] = {};
+    /**
+     * Loads the user's quota configuration, falling back to defaults for anything missing or invalid.
+     * @returns {{limits: Object<string, number|null>, thresholds: {warning: number, danger: number}}}
+     */
+    function loadLimitSettings() {
+        const settings = { limits: { ...defaultModelLimits }, thresholds: { ...DEFAULT_QUOTA_THRESHOLDS } };
+        try {
+            const stored = JSON.parse(GM_getValue(STORAGE_KEY_LIMITS, '{}'));
+            if (stored && typeof stored.limits === 'object' && stored.limits !== null) {
+                Object.keys(stored.limits).forEach(modelName => {
+                    const limit = stored.limits[modelName];
+                    settings.limits[modelName] = (typeof limit === 'number' && limit > 0) ? limit : null;
+                });
+            }
+            if (stored && typeof stored.thresholds === 'object' && stored.thresholds !== null) {
+                ['warning', 'danger'].forEach(level => {
+                    const value = stored.thresholds[level];
+                    if (typeof value === 'number' && value > 0) {
+                        settings.thresholds[level] = value;
+                    }
+                });
             }
+        } catch (e) {
+            console.error("Gemini Tracker: Error parsing stored limits, using defaults.", e);
+        }
+        return settings;
+    }
 
-            allCounts[dateStringToModify][modelName] = parsedCount;
-            saveAllCounts(allCounts);
-            updateUI(dateStringToModify); // Update UI for the date that was modified
-            return true; // Indicate success
-        } else {
-            console.warn(`Gemini Tracker: Invalid count value "${newCount}" or missing data for model ${modelName} on date ${dateStringToModify}. Must be a non-negative number.`);
-            // Revert the input field by re-rendering the UI for the selected date
-            updateUI(selectedDate);
-            return false; // Indicate failure
+    function saveLimitSettings(settings) {
+        try {
+            GM_setValue(STORAGE_KEY_LIMITS, JSON.stringify(settings));
+        } catch (e) {
+            console.error("Gemini Tracker: Error saving limits.", e);
         }
     }
 
-    // Reset counts ONLY for the currently selected date
-    function resetCountsForSelectedDate() {
-        if (confirm(`Are you sure you want to reset all Gemini model usage counts for ${selectedDate}?`)) {
-            const allCounts = loadAllCounts();
-            if (allCounts[selectedDate]) {
-                console.log(`Gemini Tracker: Resetting counts for ${selectedDate}.`);
-                // Clear the counts for the selected date by assigning an empty object
-                allCounts[selectedDate] = {};
-                // Or optionally, set all known models to 0 for that date:
-                // allCounts[selectedDate] = {};
-                // Object.values(modelNames).forEach(name => { allCounts[selectedDate][name] = 0; });
-
-                saveAllCounts(allCounts);
-                updateUI(selectedDate); // Refresh UI for the cleared date
-            } else {
-                console.log(`Gemini Tracker: No counts found for ${selectedDate} to reset.`);
-            }
+    function getModelLimit(modelName) {
+        const limit = loadLimitSettings().limits[modelName];
+        return typeof limit === 'number' ? limit : null;
+    }
+
+    function setModelLimit(modelName, newLimit) {
+        const trimmed = String(newLimit).trim();
+        const parsedLimit = parseInt(trimmed, 10);
+        if (!modelName || (trimmed !== '' && (isNaN(parsedLimit) || parsedLimit <= 0))) {
+            console.warn(`Gemini Tracker: Invalid limit "${newLimit}" for ${modelName}. Must be a positive number or empty.`);
+            return false;
         }
+        const settings = loadLimitSettings();
+        settings.limits[modelName] = trimmed === '' ? null : parsedLimit;
+        saveLimitSettings(settings);
+        console.log(`Gemini Tracker: Daily limit for ${modelName} set to ${settings.limits[modelName] ?? 'none'}.`);
+        return true;
     }
 
-    // --- UI Creation and Management ---
+    function setQuotaThresholds(warning, danger) {
+        const parsedWarning = parseInt(warning, 10);
+        const parsedDanger = parseInt(danger, 10);
+        if (isNaN(parsedWarning) || isNaN(parsedDanger) || parsedWarning <= 0 || parsedDanger < parsedWarning) {
+            console.warn(`Gemini Tracker: Invalid thresholds ${warning}/${danger}. Warning must be positive and not above danger.`);
+            return false;
+        }
+        const settings = loadLimitSettings();
+        settings.thresholds = { warning: parsedWarning, danger: parsedDanger };
+        saveLimitSettings(settings);
+        return true;
+    }
 
-    let uiPanel = null;
-    let toggleButton = null;
-    let devModeCheckbox = null;
-    let datePickerInput = null;
-    let flatpickrInstance = null;
+    /**
+     * Classifies a count against its limit using the configured thresholds.
+     * @returns {'none'|'ok'|'warning'|'danger'} 'none' when the model has no limit.
+     */
+    function getQuotaStatus(count, limit, thresholds = loadLimitSettings().thresholds) {
+        if (!limit) return 'none';
+        const percent = (count / limit) * 100;
+        if (percent >= thresholds.danger) return 'danger';
+        if (percent >= thresholds.warning) return 'warning';
+        return 'ok';
+    }
 
-    function createUI() {
-        // Inject flatpickr CSS
-        const flatpickrStyles = GM_getResourceText("flatpickrCSS");
-        const flatpickrThemeStyles = GM_getResourceText("flatpickrTheme");
-        GM_addStyle(flatpickrStyles);
-        GM_addStyle(flatpickrThemeStyles);
+    // --- Model Registry ---
 
-        // Toggle Button
-        toggleButton = document.createElement('div');
-        toggleButton.id = 'gemini-tracker-toggle';
-        // SVG icon remains the same
-        toggleButton.innerHTML = `
-            <svg xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 0 24 24" width="24px" fill="#FFFFFF">
-                <path d="M0 0h24v24H0V0z" fill="none"/>
-                <path d="M19.35 10.04C18.67 6.59 15.64 4 12 4 9.11 4 6.6 5.64 5.35 8.04 2.34 8.36 0 10.91 0 14c0 3.31 2.69 6 6 6h13c2.76 0 5-2.24 5-5 0-2.64-2.05-4.78-4.65-4.96zM14 13v4h-4v-4H7l5-5 5 5h-3z"/>
-            </svg>
-        `;
-        toggleButton.title = "Show/Hide Gemini Usage Stats";
-        document.body.appendChild(toggleButton);
+    /**
+     * Loads the model registry, falling back to the defaults when nothing valid is stored.
+     * @returns {Array<{name: string, aliases: string[], hidden: boolean}>}
+     */
+    function loadModelRegistry() {
+        try {
+            const stored = JSON.parse(GM_getValue(STORAGE_KEY_MODEL_REGISTRY, 'null'));
+            if (Array.isArray(stored)) {
+                const registry = stored
+                    .filter(model => model && typeof model.name === 'string' && model.name.trim() !== '')
+                    .map(model => ({
+                        name: model.name.trim(),
+                        aliases: Array.isArray(model.aliases) ? model.aliases.filter(alias => typeof alias === 'string' && alias.trim() !== '') : [],
+                        hidden: model.hidden === true,
+                    }));
+                if (registry.length > 0) return registry;
+            }
+        } catch (e) {
+            console.error("Gemini Tracker: Error parsing model registry, using defaults.", e);
+        }
+        return DEFAULT_MODEL_REGISTRY.map(model => ({ ...model, aliases: [...model.aliases] }));
+    }
 
-        // Stats Panel Structure
-        uiPanel = document.createElement('div');
-        uiPanel.id = 'gemini-tracker-panel';
-        uiPanel.innerHTML = `
-            <div class="tracker-header">
-                <h3>Model Usage</h3>
-                 <div class="tracker-date-selector-container">
-                    <input type="text" id="tracker-date-selector" placeholder="Select Date">
-                 </div>
-                <button id="tracker-close-btn" title="Close">&times;</button>
-            </div>
-            <ul id="tracker-list"></ul>
-            <div class="tracker-separator"></div>
-            <div class="tracker-separator"></div>
-             <button id="tracker-reset-btn" title="Reset counts for selected date">Reset Counts for Day</button>
-        `;
-        document.body.appendChild(uiPanel);
+    function saveModelRegistry(registry) {
+        try {
+            GM_setValue(STORAGE_KEY_MODEL_REGISTRY, JSON.stringify(registry));
+        } catch (e) {
+            console.error("Gemini Tracker: Error saving model registry.", e);
+        }
+    }
 
-        // --- Date Picker Initialization ---
-        datePickerInput = uiPanel.querySelector('#tracker-date-selector');
-        flatpickrInstance = flatpickr(datePickerInput, {
-            dateFormat: "Y-m-d",
-            defaultDate: selectedDate, // Set initial date
-            maxDate: getCurrentUTCDateString(), // Optional: prevent future dates?
-            altInput: true, // Show user-friendly format, submit standard format
-            altFormat: "M j, Y", // Example: Mar 31, 2025
-            onChange: function (selectedDates, dateStr, instance) {
-                console.log("Selected date:", dateStr);
-                selectedDate = dateStr; // Update global selected date
-                updateUI(selectedDate); // Refresh the list for the new date
-            },
-        });
+    function getModelNames({ includeHidden = false } = {}) {
+        return loadModelRegistry().filter(model => includeHidden || !model.hidden).map(model => model.name);
+    }
 
+    /**
+     * Maps text from Gemini's model switcher to a registered model, matching the longest name or alias prefix.
+     * @returns {string|null} Canonical model name, or null if nothing matches.
+     */
+    function resolveModelName(rawText) {
+        const prefixes = [];
+        loadModelRegistry().forEach(model => {
+            prefixes.push({ prefix: model.name, name: model.name });
+            model.aliases.forEach(alias => prefixes.push({ prefix: alias, name: model.name }));
+        });
+        // Sort by length descending to match longest first
+        prefixes.sort((a, b) => b.prefix.length - a.prefix.length);
+        const match = prefixes.find(({ prefix }) => rawText.startsWith(prefix));
+        return match ? match.name : null;
+    }
 
-        // --- Create and Insert Developer Mode Toggle ---
-        const devModeContainer = document.createElement('div');
-        devModeContainer.className = 'tracker-setting';
-        // ... (rest of dev mode element creation is the same as before) ...
-        const devModeLabel = document.createElement('label');
-        devModeLabel.htmlFor = 'dev-mode-checkbox';
-        devModeLabel.textContent = 'Developer Mode';
+    // Models with recorded counts that aren't in the registry, e.g. from the raw-text fallback
+    function getUnregisteredModels() {
+        const registered = getModelNames({ includeHidden: true });
+        const totals = {};
+        const allCounts = loadAllCounts();
+        Object.keys(allCounts).forEach(dateKey => {
+            Object.keys(allCounts[dateKey]).forEach(modelName => {
+                if (!registered.includes(modelName) && modelName !== UNKNOWN_MODEL) {
+                    totals[modelName] = (totals[modelName] || 0) + allCounts[dateKey][modelName];
+                }
+            });
+        });
+        return totals;
+    }
 
-        const devModeToggle = document.createElement('label');
-        devModeToggle.className = 'switch';
+    function addModel(name) {
+        const trimmed = name.trim();
+        const registry = loadModelRegistry();
+        if (!trimmed || registry.some(model => model.name === trimmed)) {
+            console.warn(`Gemini Tracker: Model "${name}" is empty or already registered.`);
+            return false;
+        }
+        registry.push({ name: trimmed, aliases: [], hidden: false });
+        saveModelRegistry(registry);
+        console.log(`Gemini Tracker: Added model "${trimmed}" to the registry.`);
+        return true;
+    }
 
-        devModeCheckbox = document.createElement('input'); // Assign to global ref
-        devModeCheckbox.type = 'checkbox';
-        devModeCheckbox.id = 'dev-mode-checkbox';
+    /**
+     * Folds every count and limit recorded under `fromName` into `toName`. Counts on the same day are summed.
+     * The counts move as an audited change under the counts lock, so another tab's increment isn't lost and
+     * the merge can be undone; past usage events keep their original model and the move is logged as events.
+     * @returns {Promise<Object|null>} The audit entry, or null when there was nothing to merge.
+     */
+    function mergeModelHistory(fromName, toName) {
+        if (fromName === toName) return Promise.resolve(null);
+        return commitAuditedChange('merge', getCurrentDateString(), allCounts => {
+            const changes = [];
+            Object.keys(allCounts).sort().forEach(dateKey => {
+                const dailyCounts = allCounts[dateKey];
+                if (!dailyCounts[fromName]) return;
+                const current = dailyCounts[toName] || 0;
+                changes.push({ date: dateKey, model: fromName, oldValue: dailyCounts[fromName], newValue: 0 });
+                changes.push({ date: dateKey, model: toName, oldValue: current, newValue: current + dailyCounts[fromName] });
+            });
+            return changes;
+        }).then(entry => {
+            mergeModelMetadata(fromName, toName);
+            console.log(`Gemini Tracker: Merged "${fromName}" into "${toName}" across ${entry ? entry.changes.length / 2 : 0} day(s).`);
+            if (entry && uiPanel) {
+                afterRegistryChange();
+                offerUndo(entry, `Merged "${fromName}" into "${toName}"`);
+            }
+            return entry;
+        });
+    }
 
-        const slider = document.createElement('span');
-        slider.className = 'slider round';
+    // Limits, limit notices and submission outcomes aren't counts, so they're moved over directly
+    function mergeModelMetadata(fromName, toName) {
+        const limitSettings = loadLimitSettings();
+        if (!limitSettings.limits[toName] && limitSettings.limits[fromName]) {
+            limitSettings.limits[toName] = limitSettings.limits[fromName];
+        }
+        delete limitSettings.limits[fromName];
+        saveLimitSettings(limitSettings);
 
-        devModeToggle.appendChild(devModeCheckbox);
-        devModeToggle.appendChild(slider);
+        const limitHits = loadLimitHits();
+        limitHits.forEach(hit => {
+            if (hit.model === fromName) hit.model = toName;
+        });
+        GM_setValue(STORAGE_KEY_LIMIT_HITS, JSON.stringify(limitHits));
 
-        devModeContainer.appendChild(devModeLabel);
-        devModeContainer.appendChild(devModeToggle);
+        const outcomes = loadSubmissionOutcomes();
+        Object.values(outcomes).forEach(dayOutcomes => {
+            if (!dayOutcomes[fromName]) return;
+            const target = dayOutcomes[toName] || (dayOutcomes[toName] = {});
+            Object.keys(dayOutcomes[fromName]).forEach(outcome => {
+                target[outcome] = (target[outcome] || 0) + dayOutcomes[fromName][outcome];
+            });
+            delete dayOutcomes[fromName];
+        });
+        GM_setValue(STORAGE_KEY_OUTCOMES, JSON.stringify(outcomes));
+    }
 
-        // Insert Dev Mode *before* the second separator
-        const resetButton = uiPanel.querySelector('#tracker-reset-btn');
-        const secondSeparator = resetButton.previousElementSibling; // The separator before reset
-        secondSeparator.parentNode.insertBefore(devModeContainer, secondSeparator);
+    // Renaming keeps the old name as an alias so Gemini's old label still resolves
+    function renameModel(oldName, newName) {
+        const trimmed = newName.trim();
+        const registry = loadModelRegistry();
+        const model = registry.find(m => m.name === oldName);
+        if (!model || !trimmed || trimmed === oldName || registry.some(m => m.name === trimmed)) {
+            console.warn(`Gemini Tracker: Can't rename "${oldName}" to "${newName}".`);
+            return false;
+        }
+        model.name = trimmed;
+        if (!model.aliases.includes(oldName)) model.aliases.push(oldName);
+        saveModelRegistry(registry);
+        mergeModelHistory(oldName, trimmed);
+        return true;
+    }
 
+    function updateModel(name, changes) {
+        const registry = loadModelRegistry();
+        const model = registry.find(m => m.name === name);
+        if (!model) return;
+        Object.assign(model, changes);
+        saveModelRegistry(registry);
+    }
 
-        // --- Event Listeners ---
-        toggleButton.addEventListener('click', toggleUIVisibility);
-        uiPanel.querySelector('#tracker-close-btn').addEventListener('click', () => setUIVisibility(false));
-        // Reset button now resets for the selected date
-        uiPanel.querySelector('#tracker-reset-btn').addEventListener('click', resetCountsForSelectedDate);
-        devModeCheckbox.addEventListener('change', handleDevModeToggle);
+    // Merges a raw-text model into a registered one and remembers it as an alias for future detections
+    function mergeIntoModel(fromName, toName) {
+        const registry = loadModelRegistry();
+        const target = registry.find(m => m.name === toName);
+        if (!target) return;
+        if (!target.aliases.includes(fromName)) target.aliases.push(fromName);
+        saveModelRegistry(registry);
+        mergeModelHistory(fromName, toName);
+    }
 
-        // Edit listener remains largely the same, but passes selectedDate to save function
-        uiPanel.querySelector('#tracker-list').addEventListener('click', (event) => {
-            const isDevModeEnabled = GM_getValue(DEV_MODE_KEY, false);
-            if (isDevModeEnabled && event.target.classList.contains('model-count') && !event.target.isEditing) {
-                makeCountEditable(event.target);
-            } else if (!isDevModeEnabled && event.target.classList.contains('model-count')) {
-                console.log("Gemini Tracker: Editing disabled. Enable Developer Mode to edit counts.");
-            }
-        });
+    // Merges unregistered models whose names start with one of the model's aliases
+    function mergeAliasHistory(name) {
+        const model = loadModelRegistry().find(m => m.name === name);
+        if (!model) return 0;
+        const unregistered = Object.keys(getUnregisteredModels())
+            .filter(rawName => model.aliases.some(alias => rawName.startsWith(alias)) && resolveModelName(rawName) === name);
+        unregistered.forEach(rawName => mergeModelHistory(rawName, name));
+        return unregistered.length;
+    }
 
-        // --- Initial State ---
-        const isVisible = GM_getValue(UI_VISIBLE_KEY, false);
-        setUIVisibility(isVisible); // Set initial panel visibility
+    function promptForQuotaThresholds() {
+        const { thresholds } = loadLimitSettings();
+        const input = prompt("Enter warning and danger thresholds as percent of the daily limit (e.g. 80,100):", `${thresholds.warning},${thresholds.danger}`);
+        if (input === null) return;
+        const [warning, danger] = input.split(',').map(part => part.trim());
+        if (setQuotaThresholds(warning, danger)) {
+            refreshPanel();
+        } else {
+            alert("Invalid thresholds. Warning must be a positive number and not above danger.");
+        }
+    }
 
-        const initialDevMode = GM_getValue(DEV_MODE_KEY, false);
-        updateDevModeVisuals(initialDevMode); // Set initial dev mode visuals
+    // --- Model Detection ---
 
-        // Populate with counts for the initially selected date
-        updateUI(selectedDate);
+    function isValidSelector(selector) {
+        try {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        } catch (e) {
+            return false;
+        }
     }
 
-    function setUIVisibility(visible) {
-        if (!uiPanel || !toggleButton) return;
-        uiPanel.style.display = visible ? 'block' : 'none';
-        toggleButton.classList.toggle('active', visible);
-        document.body.classList.toggle('gemini-tracker-panel-open', visible);
-        GM_setValue(UI_VISIBLE_KEY, visible);
+    /**
+     * Loads the ordered detection strategies, falling back to the defaults when nothing valid is stored.
+     * @returns {Array<{id: string, label: string, selector: string, enabled: boolean}>}
+     */
+    function loadDetectionStrategies() {
+        try {
+            const stored = JSON.parse(GM_getValue(STORAGE_KEY_DETECTION_STRATEGIES, 'null'));
+            if (Array.isArray(stored)) {
+                const strategies = stored.filter(strategy => strategy && typeof strategy.id === 'string'
+                    && typeof strategy.selector === 'string' && isValidSelector(strategy.selector))
+                    .map(strategy => ({
+                        id: strategy.id,
+                        label: typeof strategy.label === 'string' ? strategy.label : strategy.selector,
+                        selector: strategy.selector,
+                        enabled: strategy.enabled !== false,
+                    }));
+                if (strategies.length > 0) return strategies;
+            }
+        } catch (e) {
+            console.error("Gemini Tracker: Error parsing detection strategies, using defaults.", e);
+        }
+        return DEFAULT_DETECTION_STRATEGIES.map(strategy => ({ ...strategy }));
     }
 
-    function toggleUIVisibility() {
-        if (!uiPanel) return;
-        const currentlyVisible = uiPanel.style.display === 'block';
-        setUIVisibility(!currentlyVisible);
-        if (!currentlyVisible) {
-            // When opening, refresh UI for the currently selected date
-            selectedDate = flatpickrInstance ? flatpickrInstance.selectedDates[0] ? flatpickrInstance.formatDate(flatpickrInstance.selectedDates[0], "Y-m-d") : getCurrentUTCDateString() : getCurrentUTCDateString(); // Ensure selectedDate is current
-            if (flatpickrInstance && !flatpickrInstance.selectedDates[0]) {
-                flatpickrInstance.setDate(selectedDate, false); // Update calendar if it lost selection
+    function saveDetectionStrategies(strategies) {
+        GM_setValue(STORAGE_KEY_DETECTION_STRATEGIES, JSON.stringify(strategies));
+    }
+
+    /**
+     * Runs the strategy chain against the current page.
+     * @param {{quiet?: boolean}} [options] quiet skips the console note about unrecognized text, for callers
+     *     that poll (like the mini HUD) rather than count a submission.
+     * @returns {{modelName: string|null, rawText: string|null, strategyId: string|null}} modelName is null when
+     *     no strategy found any text.
+     */
+    function detectModel({ quiet = false } = {}) {
+        for (const strategy of loadDetectionStrategies()) {
+            if (!strategy.enabled) continue;
+            const element = document.querySelector(strategy.selector);
+            const rawText = element && element.textContent ? element.textContent.trim() : '';
+            if (!rawText) continue;
+
+            const canonicalName = resolveModelName(rawText);
+            if (canonicalName) {
+                return { modelName: canonicalName, rawText, strategyId: strategy.id };
             }
-            const currentDevMode = GM_getValue(DEV_MODE_KEY, false);
-            updateDevModeVisuals(currentDevMode); // Ensure dev mode visuals are correct
-            updateUI(selectedDate); // Refresh content for the selected date
+            // Fallback if no specific match startsWith, maybe it's a new model
+            if (!quiet) console.log(`Gemini Tracker: Model text "${rawText}" didn't match known prefixes, using raw text.`);
+            return { modelName: rawText, rawText, strategyId: strategy.id }; // Raw text as a potential new model name
         }
+        return { modelName: null, rawText: null, strategyId: null };
     }
 
-    // --- Handle Developer Mode Toggle Change ---
-    function handleDevModeToggle() {
-        const isEnabled = devModeCheckbox.checked;
-        GM_setValue(DEV_MODE_KEY, isEnabled);
-        console.log(`Gemini Tracker: Developer Mode ${isEnabled ? 'Enabled' : 'Disabled'}`);
-        updateDevModeVisuals(isEnabled);
-        // Re-render the list for the selected date to apply/remove tooltips etc.
-        updateUI(selectedDate);
+    function getCurrentModelName() {
+        const { modelName } = detectModel();
+        if (!modelName) {
+            console.warn("Gemini Tracker: Could not determine current model name.");
+        }
+        return modelName; // null indicates failure to find the model
     }
 
-    // --- Update Visuals Based on Dev Mode State ---
-    function updateDevModeVisuals(isEnabled) {
-        if (devModeCheckbox) {
-            devModeCheckbox.checked = isEnabled;
+    function loadDetectionStats() {
+        const stats = { attempts: 0, failures: 0, byStrategy: {}, days: {}, last: null, since: new Date().toISOString() };
+        try {
+            const stored = JSON.parse(GM_getValue(STORAGE_KEY_DETECTION_STATS, '{}'));
+            if (stored && typeof stored === 'object') Object.assign(stats, stored);
+        } catch (e) {
+            console.error("Gemini Tracker: Error parsing detection stats.", e);
         }
-        if (uiPanel) {
-            uiPanel.classList.toggle('dev-mode-active', isEnabled);
+        return stats;
+    }
+
+    // Records the outcome of a detection made for a counted submission
+    function recordDetection(detection) {
+        const stats = loadDetectionStats();
+        const today = getCurrentDateString();
+        const day = stats.days[today] || { attempts: 0, failures: 0 };
+        stats.attempts++;
+        day.attempts++;
+        if (detection.strategyId) {
+            stats.byStrategy[detection.strategyId] = (stats.byStrategy[detection.strategyId] || 0) + 1;
+        } else {
+            stats.failures++;
+            day.failures++;
+            console.warn("Gemini Tracker: Model detection failed; recording usage as 'Unknown'.");
         }
-        // Styling changes handled by CSS based on 'dev-mode-active' class
+        stats.days[today] = day;
+        const cutoffDate = shiftDateString(today, -DETECTION_STATS_DAYS);
+        Object.keys(stats.days).forEach(dateKey => {
+            if (dateKey < cutoffDate) delete stats.days[dateKey];
+        });
+        stats.last = { ts: Date.now(), ...detection };
+        GM_setValue(STORAGE_KEY_DETECTION_STATS, JSON.stringify(stats));
+        updateDetectionWarning();
     }
 
+    function formatRate(failures, attempts) {
+        return attempts === 0 ? '–' : `${((failures / attempts) * 100).toFixed(1)}% (${failures}/${attempts})`;
+    }
 
-    function updateUI(dateString) {
-        if (!uiPanel) return;
-        const listElement = uiPanel.querySelector('#tracker-list');
-        if (!listElement) return;
+    // --- Usage Event Log ---
+    // Every change to the daily totals is also appended here, so the sum of an event's deltas per date/model
+    // matches the stored count for as long as the events are retained.
 
-        // Ensure the calendar input reflects the date being displayed
-        if (flatpickrInstance && datePickerInput.value !== dateString) {
-            // Update flatpickr's internal date without triggering onChange
-            flatpickrInstance.setDate(dateString, false);
+    function generateEventId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
         }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
 
-        const countsForDay = getCountsForDate(dateString);
+    // Conversation ID from URLs like /app/<id> or /gem/<gemId>/<id> (optionally under /u/<n>/ for other
+    // signed-in accounts); null for a brand-new chat
+    function getConversationId() {
+        const match = location.pathname.match(/^(?:\/u\/\d+)?\/(?:app|gem\/[^/]+)\/([0-9a-f]{8,})/i);
+        return match ? match[1] : null;
+    }
 
-        // Clear previous entries
-        listElement.innerHTML = '';
+    // Gem chats live under /gem/<gemId>/…; the name comes from the Gem's header, which renders shortly after navigation
+    function getGemContext() {
+        const match = location.pathname.match(/^(?:\/u\/\d+)?\/gem\/([^/]+)/);
+        if (!match) return { gemId: null, gemName: null };
+        const header = document.querySelector(GEM_NAME_SELECTOR);
+        const gemName = header ? header.textContent.trim() : '';
+        return { gemId: match[1], gemName: gemName || null };
+    }
 
-        const isDevModeEnabled = GM_getValue(DEV_MODE_KEY, false);
+    function loadUsageEvents() {
+        try {
+            const events = JSON.parse(GM_getValue(STORAGE_KEY_EVENTS, '[]'));
+            return Array.isArray(events) ? events : [];
+        } catch (e) {
+            console.error("Gemini Tracker: Error parsing stored usage events.", e);
+            return [];
+        }
+    }
 
-        // Get potentially new models detected on this day + defined models
-        let modelsToDisplay = [...Object.values(modelNames)];
-        Object.keys(countsForDay).forEach(model => {
-            if (!modelsToDisplay.includes(model)) {
-                modelsToDisplay.push(model);
-            }
-        });
-        // Sort: Defined models first alphabetically, then new models alphabetically
-        modelsToDisplay.sort((a, b) => {
-            const aIsKnown = Object.values(modelNames).includes(a);
-            const bIsKnown = Object.values(modelNames).includes(b);
-            if (aIsKnown && !bIsKnown) return -1;
-            if (!aIsKnown && bIsKnown) return 1;
-            return a.localeCompare(b);
-        });
+    function saveUsageEvents(events) {
+        try {
+            GM_setValue(STORAGE_KEY_EVENTS, JSON.stringify(events));
+        } catch (e) {
+            console.error("Gemini Tracker: Error saving usage events.", e);
+        }
+    }
 
+    // Drops events past the retention window, then trims the oldest beyond the hard cap
+    function compactEvents(events) {
+        const cutoffDate = shiftDateString(getCurrentDateString(), -getSetting('eventRetentionDays'));
+        const retained = events.filter(event => event.date >= cutoffDate);
+        return retained.length > EVENT_MAX_ENTRIES ? retained.slice(retained.length - EVENT_MAX_ENTRIES) : retained;
+    }
 
-        let hasUsage = false;
-        for (const modelName of modelsToDisplay) {
-            const count = countsForDay[modelName] || 0; // Get count, default to 0 if not present
-            if (count > 0) hasUsage = true;
+    function compactEventLog() {
+        const events = loadUsageEvents();
+        const compacted = compactEvents(events);
+        if (compacted.length !== events.length) {
+            console.log(`Gemini Tracker: Compacted event log from ${events.length} to ${compacted.length} entries.`);
+            saveUsageEvents(compacted);
+        }
+    }
 
-            const listItem = document.createElement('li');
+    /**
+     * Creates a usage event.
+     * @param {string} modelName
+     * @param {string} dateString Day the event is counted against.
+     * @param {'send'|'enter'|'edit'|'regenerate'|'suggestion'|'deep-research'|'manual'|'reset'|'revert'|'import'|'migration'} source
+     *     What caused the change.
+     * @param {number} [delta=1] Change applied to the daily total.
+     * @param {?Object} [attributes] What was sent (see captureSubmissionAttributes); submissions only.
+     */
+    function createUsageEvent(modelName, dateString, source, delta = 1, attributes = null) {
+        const { gemId, gemName } = getGemContext();
+        const event = {
+            id: generateEventId(),
+            ts: Date.now(),
+            date: dateString,
+            model: modelName,
+            source,
+            delta,
+            conversationId: getConversationId(),
+            gemId,
+            gemName,
+        };
+        if (attributes) event.attributes = attributes;
+        return event;
+    }
 
-            const nameSpan = document.createElement('span');
-            nameSpan.className = 'model-name';
-            nameSpan.textContent = modelName;
-            nameSpan.title = modelName;
+    function appendUsageEvents(newEvents) {
+        if (newEvents.length === 0) return;
+        saveUsageEvents(compactEvents(loadUsageEvents().concat(newEvents)));
+        enqueueSyncEvents(newEvents);
+    }
 
-            const countSpan = document.createElement('span');
-            countSpan.className = 'model-count';
-            countSpan.textContent = count;
-            countSpan.dataset.modelName = modelName; // Store model name for editing
+    // Every cell that differs between two date → model → count maps, in the shape audit entries use
+    function diffCounts(beforeCounts, afterCounts) {
+        const changes = [];
+        const dateKeys = new Set([...Object.keys(beforeCounts), ...Object.keys(afterCounts)]);
+        [...dateKeys].sort().forEach(dateKey => {
+            const before = beforeCounts[dateKey] || {};
+            const after = afterCounts[dateKey] || {};
+            new Set([...Object.keys(before), ...Object.keys(after)]).forEach(modelName => {
+                const oldValue = before[modelName] || 0;
+                const newValue = after[modelName] || 0;
+                if (oldValue !== newValue) changes.push({ date: dateKey, model: modelName, oldValue, newValue });
+            });
+        });
+        return changes;
+    }
 
-            if (isDevModeEnabled) {
-                countSpan.title = 'Click to edit';
+    // One event per cell that differs between two date → model → count maps
+    function buildDeltaEvents(beforeCounts, afterCounts, source) {
+        return diffCounts(beforeCounts, afterCounts)
+            .map(change => createUsageEvent(change.model, change.date, source, change.newValue - change.oldValue));
+    }
+
+    // A new chat only gets its ID once Gemini navigates after the first prompt, and a Gem's header can render
+    // after the prompt was sent, so patch both in when they appear
+    function backfillConversationContext(eventId) {
+        let attempts = 0;
+        const timer = setInterval(() => {
+            const conversationId = getConversationId();
+            const { gemId, gemName } = getGemContext();
+            const events = loadUsageEvents();
+            const event = events.find(e => e.id === eventId);
+            if (!event) {
+                clearInterval(timer);
+                return;
+            }
+            let changed = false;
+            if (conversationId && !event.conversationId) {
+                event.conversationId = conversationId;
+                changed = true;
+            }
+            if (gemName && gemId === event.gemId && !event.gemName) {
+                event.gemName = gemName;
+                changed = true;
+            }
+            if (changed) saveUsageEvents(events);
+            const complete = event.conversationId && (!event.gemId || event.gemName);
+            if (complete || ++attempts >= 30) clearInterval(timer);
+        }, 1000);
+    }
+
+    function incrementCount(modelName, source = 'send', attributes = null) {
+        if (!modelName) return;
+
+        const currentDate = getCurrentDateString();
+        commitUsageEvents(allCounts => {
+            if (!(allCounts[currentDate] || {}).hasOwnProperty(modelName)) {
+                // A newly detected model name (returned as rawText); it's offered for promotion in the Models section
+                console.log(`Gemini Tracker: Detected new model '${modelName}' on ${currentDate}, adding to tracker.`);
+            }
+            return [createUsageEvent(modelName, currentDate, source, 1, attributes)];
+        }).then(([event]) => {
+            if (event && (!event.conversationId || (event.gemId && !event.gemName))) {
+                backfillConversationContext(event.id);
+            }
+            if (event) {
+                const countToday = (loadAllCounts()[currentDate] || {})[modelName] || 0;
+                announce(`${modelName}: ${countToday} use${countToday === 1 ? '' : 's'} today.`);
+                checkUsageAlerts(modelName, countToday, currentDate);
+            }
+
+            // Only update UI if it's visible AND showing the current date (or a range that includes it)
+            if (uiPanel && uiPanel.style.display === 'block' && panelShowsDate(currentDate)) {
+                refreshPanel();
             } else {
-                countSpan.title = ''; // No tooltip when not editable
+                updateToggleQuotaState();
             }
+        });
+    }
 
-            listItem.appendChild(nameSpan);
-            listItem.appendChild(countSpan);
-            listElement.appendChild(listItem);
+    function manuallySetCount(modelName, newCount, dateStringToModify) {
+        const parsedCount = parseInt(newCount, 10);
+        if (modelName && !isNaN(parsedCount) && parsedCount >= 0 && dateStringToModify) {
+            console.log(`Gemini Tracker: Manually setting count for ${modelName} on ${dateStringToModify} to ${parsedCount}`);
+            // The change is taken against the freshest counts, so a concurrent increment in another tab isn't undone
+            commitAuditedChange('edit', dateStringToModify, allCounts => [
+                { model: modelName, oldValue: (allCounts[dateStringToModify] || {})[modelName] || 0, newValue: parsedCount },
+            ]).then(entry => {
+                updateUI(dateStringToModify); // Update UI for the date that was modified
+                if (entry) offerUndo(entry, `${modelName} on ${dateStringToModify}: ${entry.changes[0].oldValue} → ${parsedCount}`);
+            });
+            return true; // Indicate success
+        } else {
+            console.warn(`Gemini Tracker: Invalid count value "${newCount}" or missing data for model ${modelName} on date ${dateStringToModify}. Must be a non-negative number.`);
+            // Revert the input field by re-rendering the UI for the selected date
+            updateUI(selectedDate);
+            return false; // Indicate failure
         }
+    }
 
-        // Add a message if the list is empty or all counts are zero for the day
-        if (modelsToDisplay.length === 0 || !hasUsage) {
-            const emptyItem = document.createElement('li');
-            emptyItem.textContent = `No usage tracked for ${dateString}.`;
-            emptyItem.style.fontStyle = 'italic';
-            emptyItem.style.opacity = '0.7';
-            emptyItem.style.justifyContent = 'center'; // Center the empty message
-            listElement.appendChild(emptyItem);
+    // Reset counts ONLY for the currently selected date
+    function resetCountsForSelectedDate() {
+        if (confirm(`Are you sure you want to reset all Gemini model usage counts for ${selectedDate}?`)) {
+            const dateToReset = selectedDate;
+            commitAuditedChange('reset', dateToReset, allCounts => {
+                const dailyCounts = allCounts[dateToReset] || {};
+                return Object.keys(dailyCounts).map(modelName => ({ model: modelName, oldValue: dailyCounts[modelName], newValue: 0 }));
+            }).then(entry => {
+                refreshPanel(); // Refresh UI for the cleared date
+                if (entry) {
+                    console.log(`Gemini Tracker: Reset counts for ${dateToReset}.`);
+                    offerUndo(entry, `Reset ${entry.changes.length} model(s) on ${dateToReset}`);
+                } else {
+                    console.log(`Gemini Tracker: No counts found for ${dateToReset} to reset.`);
+                }
+            });
         }
     }
 
-    // --- Editing Input Field Logic ---
-    function makeCountEditable(countSpan) {
-        countSpan.isEditing = true; // Prevent re-clicks
-        const currentCount = countSpan.textContent;
-        const modelName = countSpan.dataset.modelName;
+    // --- Audit Log & Undo ---
+    // Every manual change keeps its old and new values, so it can be undone from the toast right away or
+    // reverted later from the Developer Mode history. Reverts apply the inverse delta rather than restoring the
+    // old value, so usage recorded after the change survives.
+    const AUDIT_ACTIONS = {
+        edit: { source: 'manual', label: 'Edited' },
+        delete: { source: 'manual', label: 'Deleted' },
+        bulk: { source: 'manual', label: 'Bulk edited' },
+        reset: { source: 'reset', label: 'Reset' },
+        revert: { source: 'revert', label: 'Reverted' },
+        import: { source: 'import', label: 'Imported' },
+        merge: { source: 'manual', label: 'Merged' },
+    };
 
-        const input = document.createElement('input');
-        input.type = 'number';
-        input.className = 'edit-count-input';
-        input.value = currentCount;
-        input.min = "0";
-        input.setAttribute('aria-label', `Edit count for ${modelName} on ${selectedDate}`);
+    function loadAuditLog() {
+        return loadJSONArray(STORAGE_KEY_AUDIT_LOG);
+    }
 
-        countSpan.style.display = 'none';
-        countSpan.parentNode.insertBefore(input, countSpan.nextSibling);
-        input.focus();
-        input.select();
+    function recordAuditEntry(action, date, changes, revertOf) {
+        const entry = { id: generateEventId(), ts: Date.now(), action, date, changes, revertOf: revertOf || null, revertedBy: null };
+        const auditLog = loadAuditLog();
+        if (revertOf) {
+            const reverted = auditLog.find(existing => existing.id === revertOf);
+            if (reverted) reverted.revertedBy = entry.id;
+        }
+        auditLog.push(entry);
+        GM_setValue(STORAGE_KEY_AUDIT_LOG, JSON.stringify(auditLog.slice(-AUDIT_LOG_MAX_ENTRIES)));
+        return entry;
+    }
 
-        const removeInput = (saveValue) => {
-            if (!document.body.contains(input)) return; // Already removed
+    /**
+     * Commits a manual change to the counts and records it in the audit log.
+     * @param {'edit'|'delete'|'bulk'|'reset'|'revert'|'import'|'merge'} action
+     * @param {string} date The day changed, or the first day of a bulk edit.
+     * @param {function(Object): Array<{date?: string, model: string, oldValue: number, newValue: number}>} buildChanges
+     *     Computes the changes from the freshest counts, inside the counts lock. `date` defaults to the one above.
+     * @param {string} [revertOf] Id of the audit entry this change reverts.
+     * @returns {Promise<Object|null>} The audit entry, or null when nothing changed.
+     */
+    function commitAuditedChange(action, date, buildChanges, revertOf = null) {
+        let changes = [];
+        return commitUsageEvents(allCounts => {
+            changes = buildChanges(allCounts)
+                .filter(change => change.oldValue !== change.newValue)
+                .map(change => ({ date, ...change }));
+            return changes.map(change => createUsageEvent(change.model, change.date, AUDIT_ACTIONS[action].source, change.newValue - change.oldValue));
+        }).then(events => (events.length > 0 ? recordAuditEntry(action, date, changes, revertOf) : null));
+    }
 
-            // Find the parent li in case we need to restore the span manually
-            const parentListItem = input.closest('li');
+    function revertAuditEntry(entryId) {
+        const entry = loadAuditLog().find(existing => existing.id === entryId);
+        if (!entry || entry.revertedBy) {
+            console.warn("Gemini Tracker: That change was already reverted or is no longer in the history.");
+            return Promise.resolve(null);
+        }
+        return commitAuditedChange('revert', entry.date, allCounts => entry.changes.map(change => {
+            const changeDate = change.date || entry.date;
+            const current = (allCounts[changeDate] || {})[change.model] || 0;
+            return { date: changeDate, model: change.model, oldValue: current, newValue: Math.max(0, current - (change.newValue - change.oldValue)) };
+        }), entry.id).then(revertEntry => {
+            console.log(`Gemini Tracker: Reverted ${AUDIT_ACTIONS[entry.action].label.toLowerCase()} change on ${describeAuditDates(entry)}.`);
+            refreshPanel();
+            renderHistorySection();
+            return revertEntry;
+        });
+    }
 
-            if (saveValue) {
-                // Pass the currently selectedDate to the save function
-                manuallySetCount(modelName, input.value, selectedDate);
-                // manuallySetCount calls updateUI, so no need to restore span locally
-            } else {
-                // Cancel: Remove input, show original span
-                input.remove();
-                if (parentListItem) {
-                    // Find the original span within this specific list item
-                    const originalSpan = parentListItem.querySelector(`.model-count[data-model-name="${modelName}"]`);
-                    if (originalSpan) {
-                        originalSpan.style.display = ''; // Restore visibility
-                        originalSpan.isEditing = false; // Reset editing flag
-                    }
-                }
+    function describeAuditDates(entry) {
+        const dates = [...new Set(entry.changes.map(change => change.date || entry.date))].sort();
+        return dates.length > 1 ? `${dates[0]} – ${dates[dates.length - 1]}` : entry.date;
+    }
+
+    function addModelEntry(modelName, value, dateString) {
+        const trimmed = modelName.trim();
+        const parsedValue = Number(value);
+        if (!trimmed || !Number.isInteger(parsedValue) || parsedValue < 0) {
+            console.warn(`Gemini Tracker: Can't add "${modelName}" = "${value}"; need a model name and a non-negative whole number.`);
+            return;
+        }
+        commitAuditedChange('edit', dateString, allCounts => [
+            { model: trimmed, oldValue: (allCounts[dateString] || {})[trimmed] || 0, newValue: parsedValue },
+        ]).then(entry => {
+            refreshPanel();
+            if (entry) offerUndo(entry, `${trimmed} on ${dateString}: ${entry.changes[0].oldValue} → ${parsedValue}`);
+        });
+    }
+
+    // Removes a model's row for one day, e.g. junk raw text picked up by the detection fallback
+    function deleteModelEntry(modelName, dateString) {
+        commitAuditedChange('delete', dateString, allCounts => [
+            { model: modelName, oldValue: (allCounts[dateString] || {})[modelName] || 0, newValue: 0 },
+        ]).then(entry => {
+            refreshPanel();
+            if (entry) offerUndo(entry, `Deleted ${modelName} on ${dateString}`);
+        });
+    }
+
+    const BULK_OPERATIONS = {
+        set: { label: 'Set to', apply: (count, value) => value },
+        add: { label: 'Add', apply: (count, value) => count + value },
+        subtract: { label: 'Subtract', apply: (count, value) => Math.max(0, count - value) },
+    };
+
+    // The per-day changes a bulk edit would make, against the given counts
+    function computeBulkChanges(allCounts, { model, operation, value, start, end }) {
+        return enumerateDates(start, end).map(date => {
+            const oldValue = (allCounts[date] || {})[model] || 0;
+            return { date, model, oldValue, newValue: BULK_OPERATIONS[operation].apply(oldValue, value) };
+        }).filter(change => change.oldValue !== change.newValue);
+    }
+
+    function openBulkEditor() {
+        const defaultEnd = selectedRange ? selectedRange.end : selectedDate;
+        const defaultStart = selectedRange ? selectedRange.start : shiftDateString(defaultEnd, -6);
+        const modelOptions = new Set(getModelNames({ includeHidden: true }));
+        Object.values(loadAllCounts()).forEach(dailyCounts => Object.keys(dailyCounts).forEach(model => modelOptions.add(model)));
+
+        const content = document.createElement('div');
+        content.className = 'tracker-bulk-editor';
+        content.innerHTML = `
+            <label>Model <select name="model"></select></label>
+            <label>Operation <select name="operation"></select></label>
+            <label>Value <input type="number" name="value" min="0" step="1" value="0"></label>
+            <label>From <input type="date" name="start"></label>
+            <label>To <input type="date" name="end"></label>
+            <div class="tracker-bulk-preview"></div>
+        `;
+        const field = (name) => content.querySelector(`[name="${name}"]`);
+        [...modelOptions].sort().forEach(model => field('model').add(new Option(model, model)));
+        Object.entries(BULK_OPERATIONS).forEach(([key, { label }]) => field('operation').add(new Option(label, key)));
+        field('start').value = defaultStart;
+        field('end').value = defaultEnd;
+        field('start').max = field('end').max = getCurrentDateString();
+
+        const readForm = () => {
+            const edit = {
+                model: field('model').value,
+                operation: field('operation').value,
+                value: Number(field('value').value),
+                start: field('start').value,
+                end: field('end').value,
+            };
+            const valid = edit.model && Number.isInteger(edit.value) && edit.value >= 0
+                && DATE_KEY_PATTERN.test(edit.start) && DATE_KEY_PATTERN.test(edit.end) && edit.start <= edit.end
+                && enumerateDates(edit.start, edit.end).length <= BULK_EDIT_MAX_DAYS;
+            return valid ? edit : null;
+        };
+        const preview = content.querySelector('.tracker-bulk-preview');
+        const updatePreview = () => {
+            const edit = readForm();
+            preview.innerHTML = '';
+            if (!edit) {
+                preview.textContent = `Pick a model, a whole number and a range of up to ${BULK_EDIT_MAX_DAYS} days.`;
+                return;
             }
-            // Reset flag in case of cancel/blur without save
-            // (It's implicitly reset by updateUI on successful save)
-            if (!saveValue && countSpan) countSpan.isEditing = false;
+            const after = {};
+            computeBulkChanges(loadAllCounts(), edit).forEach(({ date, model, newValue }) => {
+                after[date] = { [model]: newValue };
+            });
+            preview.appendChild(buildImportPreview(loadAllCounts(), after, 'New'));
         };
+        content.addEventListener('input', updatePreview);
+        updatePreview();
 
-        input.addEventListener('blur', () => {
-            if (!input.enterPressed) { // Avoid double save on Enter + Blur
-                // Slight delay allows Enter keydown to process first if needed
-                setTimeout(() => removeInput(true), 50);
+        showTrackerDialog({
+            title: 'Bulk edit counts',
+            message: 'Apply one operation to a model on every day in a range. Nothing changes until you apply.',
+            content,
+            buttons: [
+                { label: 'Cancel', value: 'cancel' },
+                { label: 'Apply', value: 'apply', primary: true },
+            ],
+        }, (choice) => {
+            const edit = readForm();
+            if (choice !== 'apply' || !edit) return;
+            commitAuditedChange('bulk', edit.start, allCounts => computeBulkChanges(allCounts, edit)).then(entry => {
+                refreshPanel();
+                if (entry) {
+                    offerUndo(entry, `${BULK_OPERATIONS[edit.operation].label} ${edit.value} for ${edit.model} on ${entry.changes.length} day(s)`);
+                } else {
+                    console.log("Gemini Tracker: Bulk edit changed nothing.");
+                }
+            });
+        });
+    }
+
+    function offerUndo(entry, message) {
+        renderHistorySection();
+        showToast(message, { actionLabel: 'Undo', onAction: () => revertAuditEntry(entry.id) });
+    }
+
+    // --- Cross-Tab Sync ---
+    // Count changes go through commitUsageEvents: under a Web Lock (where available) the freshest counts are read,
+    // the events' deltas applied and the ids recorded with the counts. GM storage reaches other tabs
+    // asynchronously, so a tab can still write over another's change; each tab therefore remembers its recent
+    // events and re-applies any that a later write from another tab dropped.
+    const pendingLocalEvents = new Map(); // Event id → { event, committedAt } for this tab's recent writes
+    let syncChannel = null;
+
+    function withCountsLock(task) {
+        if (navigator.locks && typeof navigator.locks.request === 'function') {
+            return navigator.locks.request(COUNTS_LOCK_NAME, () => task());
+        }
+        return Promise.resolve().then(task);
+    }
+
+    function applyEventDeltas(allCounts, events) {
+        events.forEach(event => {
+            const dailyCounts = allCounts[event.date] || (allCounts[event.date] = {});
+            const count = Math.max(0, (dailyCounts[event.model] || 0) + event.delta);
+            if (count > 0) {
+                dailyCounts[event.model] = count;
+            } else {
+                delete dailyCounts[event.model];
             }
         });
+    }
 
-        input.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
-                e.preventDefault();
-                input.enterPressed = true; // Flag to prevent blur event saving again
-                removeInput(true); // Save on Enter
-            } else if (e.key === 'Escape') {
-                input.enterPressed = false; // Ensure blur doesn't save if Escape is hit
-                removeInput(false); // Cancel on Escape
+    /**
+     * Atomically applies usage events to the stored counts and appends them to the event log.
+     * @param {function(Object): Array<Object>} buildEvents Builds the events from the freshest counts, inside the lock.
+     * @returns {Promise<Array<Object>>} The committed events.
+     */
+    function commitUsageEvents(buildEvents) {
+        return withCountsLock(() => {
+            const stored = readStoredCounts();
+            const allCounts = cloneCounts(stored.allCounts);
+            const events = buildEvents(allCounts);
+            if (events.length === 0) return events;
+
+            applyEventDeltas(allCounts, events);
+            if (!saveAllCounts(allCounts, events.map(event => event.id), stored)) return [];
+            appendUsageEvents(events);
+            events.forEach(event => pendingLocalEvents.set(event.id, { event, committedAt: Date.now() }));
+            if (syncChannel) {
+                syncChannel.postMessage({ type: 'counts-changed', dates: [...new Set(events.map(event => event.date))] });
             }
+            return events;
+        }).catch(e => {
+            console.error("Gemini Tracker: Error committing usage events.", e);
+            return [];
         });
     }
 
+    // Re-applies this tab's recent events that another tab's write dropped; returns how many were restored
+    function reconcilePendingEvents() {
+        return withCountsLock(() => {
+            const stored = readStoredCounts();
+            const appliedIds = new Set(stored.appliedEventIds);
+            const now = Date.now();
+            const lostEvents = [];
+            pendingLocalEvents.forEach(({ event, committedAt }, id) => {
+                if (appliedIds.has(id) || now - committedAt > PENDING_EVENT_TTL_MS) {
+                    pendingLocalEvents.delete(id);
+                } else {
+                    lostEvents.push(event);
+                }
+            });
+            if (lostEvents.length === 0) return 0;
 
-    // --- Styling ---
-    GM_addStyle(`
-        /* --- Base Styles (Panel, Toggle, Header, List, Reset) --- */
-        #gemini-tracker-toggle { /* Styles unchanged */
-            position: fixed; bottom: 20px; right: 20px; width: 50px; height: 50px;
+            const allCounts = cloneCounts(stored.allCounts);
+            applyEventDeltas(allCounts, lostEvents);
+            saveAllCounts(allCounts, lostEvents.map(event => event.id), stored);
+            const loggedIds = new Set(loadUsageEvents().map(event => event.id));
+            appendUsageEvents(lostEvents.filter(event => !loggedIds.has(event.id)));
+            console.warn(`Gemini Tracker: Restored ${lostEvents.length} usage event(s) overwritten by another tab.`);
+            return lostEvents.length;
+        });
+    }
+
+    function panelShowsDate(dateString) {
+        return selectedRange
+            ? selectedRange.start <= dateString && dateString <= selectedRange.end
+            : selectedDate === dateString;
+    }
+
+    // Dates whose counts differ between two stored counts values
+    function getChangedDates(oldValue, newValue) {
+        const readDays = (value) => {
+            try {
+                const parsed = JSON.parse(value);
+                return (parsed && (typeof parsed.schemaVersion === 'number' ? parsed.days : parsed)) || {};
+            } catch (e) {
+                return {};
+            }
+        };
+        const oldDays = readDays(oldValue);
+        const newDays = readDays(newValue);
+        return [...new Set([...Object.keys(oldDays), ...Object.keys(newDays)])]
+            .filter(dateKey => JSON.stringify(oldDays[dateKey]) !== JSON.stringify(newDays[dateKey]));
+    }
+
+    function handleRemoteCountsChange(changedDates) {
+        reconcilePendingEvents().catch(e => console.error("Gemini Tracker: Error reconciling usage events.", e)).then(() => {
+            heatmapCache = null;
+            // Don't re-render under the user while they're typing in the panel (count edits, add entry)
+            const isEditing = uiPanel && uiPanel.contains(document.activeElement) && document.activeElement.tagName === 'INPUT';
+            if (uiPanel && uiPanel.style.display === 'block' && !isEditing && changedDates.some(panelShowsDate)) {
+                refreshPanel();
+            } else {
+                updateToggleQuotaState();
+            }
+        });
+    }
+
+    // Keeps open panels live when other Gemini tabs record usage
+    function startCrossTabSync() {
+        if (typeof GM_addValueChangeListener === 'function') {
+            GM_addValueChangeListener(STORAGE_KEY_DAILY, (key, oldValue, newValue, remote) => {
+                if (remote) handleRemoteCountsChange(getChangedDates(oldValue, newValue));
+            });
+        } else if (typeof BroadcastChannel === 'function') {
+            syncChannel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+            syncChannel.addEventListener('message', (event) => {
+                if (event.data && event.data.type === 'counts-changed') handleRemoteCountsChange(event.data.dates || []);
+            });
+        } else {
+            console.warn("Gemini Tracker: No cross-tab channel available; panels refresh when reopened.");
+            return;
+        }
+        console.log("Gemini Tracker: Cross-tab sync started.");
+    }
+
+    // --- Settings ---
+    // Preferences are one object under STORAGE_KEY_SETTINGS, described by SETTINGS_SCHEMA. Every read and write
+    // goes through sanitizeSettings, so hand-edited storage or a shared settings file can't produce invalid values.
+    const SETTINGS_EXPORT_FORMAT = 'gemini-usage-tracker-settings';
+    const SETTINGS_EXPORT_VERSION = 1;
+    const SETTINGS_SCHEMA = {
+        devMode: {
+            type: 'boolean', default: false, label: 'Developer Mode', legacyKey: DEV_MODE_KEY,
+            description: 'Allow editing counts, adding and deleting entries, bulk edits and reverting changes',
+        },
+        quotaGuard: {
+            type: 'boolean', default: false, label: 'Confirm Sends Over Quota', legacyKey: QUOTA_GUARD_KEY,
+            description: 'Ask before sending a prompt to a model that has used up its daily limit',
+        },
+        responseConfirmation: {
+            type: 'boolean', default: false, label: 'Count Only Answered Prompts', legacyKey: RESPONSE_CONFIRMATION_KEY,
+            description: 'Wait for Gemini\'s response before counting; errors and quota refusals are tracked separately',
+        },
+        theme: {
+            type: 'choice', default: 'auto', label: 'Theme', legacyKey: THEME_KEY,
+            options: [['auto', 'Match Gemini'], ['light', 'Light'], ['dark', 'Dark']],
+            description: 'Colours of the panel and calendar; "Match Gemini" follows Gemini\'s own light/dark mode',
+        },
+        chartDays: {
+            type: 'choice', default: 14, label: 'Chart Range', legacyKey: CHART_DAYS_KEY,
+            options: CHART_DAY_OPTIONS.map(days => [days, `${days} days`]),
+            description: 'Days shown in the usage chart and the per-model sparklines',
+        },
+        promptDetails: {
+            type: 'boolean', default: false, label: 'Show Prompt Details',
+            description: 'Under each model, show average prompt length, attached files and tools used (from the event log)',
+        },
+        alertChannel: {
+            type: 'choice', default: 'both', label: 'Alert Style',
+            options: [['both', 'Toast + notification'], ['toast', 'In-page toast'], ['system', 'Browser notification']],
+            description: 'How usage alerts (see the Alerts section) are shown',
+        },
+        quietHoursEnabled: {
+            type: 'boolean', default: false, label: 'Quiet Hours',
+            description: 'Silence usage alerts between the hours below (browser local time)',
+        },
+        quietHoursStart: {
+            type: 'number', default: 22, min: 0, max: 23, label: 'Quiet From (hour)',
+            description: 'Hour (0–23) when quiet hours begin',
+        },
+        quietHoursEnd: {
+            type: 'number', default: 7, min: 0, max: 23, label: 'Quiet Until (hour)',
+            description: 'Hour (0–23) when quiet hours end; earlier than the start wraps past midnight',
+        },
+        detectionDelayMs: {
+            type: 'number', default: 50, min: 0, max: 2000, label: 'Model Detection Delay (ms)',
+            description: 'Wait this long after a send before reading the model switcher, which can lag behind the click',
+        },
+        submissionDedupMs: {
+            type: 'number', default: 1500, min: 0, max: 10000, label: 'Duplicate Send Window (ms)',
+            description: 'Submissions within this window of the last one are treated as the same prompt',
+        },
+        responseTimeoutSeconds: {
+            type: 'number', default: 90, min: 10, max: 600, label: 'Response Timeout (s)',
+            description: 'With "Count Only Answered Prompts", give up on a response after this long',
+        },
+        eventRetentionDays: {
+            type: 'number', default: 90, min: 7, max: 365, label: 'Keep Usage Events (days)',
+            description: 'Individual usage events older than this are compacted away; daily totals are always kept',
+        },
+    };
+
+    // A valid value for the setting (clamped into range for numbers), or undefined if it can't be used
+    function sanitizeSetting(name, value) {
+        const spec = SETTINGS_SCHEMA[name];
+        if (spec.type === 'boolean') return typeof value === 'boolean' ? value : undefined;
+        if (spec.type === 'choice') {
+            const option = spec.options.find(([optionValue]) => String(optionValue) === String(value));
+            return option ? option[0] : undefined;
+        }
+        if (typeof value !== 'number' && typeof value !== 'string') return undefined;
+        const number = Number(value);
+        if (value === '' || !Number.isFinite(number)) return undefined;
+        return Math.min(spec.max, Math.max(spec.min, Math.round(number)));
+    }
+
+    /**
+     * Builds a complete settings object from possibly partial or invalid input; missing values get defaults.
+     * @param {*} raw
+     * @param {function(string): void} [onProblem] Called with a description of each value that was replaced or ignored.
+     * @returns {Object}
+     */
+    function sanitizeSettings(raw, onProblem = () => {}) {
+        const source = (raw && typeof raw === 'object' && !Array.isArray(raw)) ? raw : {};
+        const settings = {};
+        Object.entries(SETTINGS_SCHEMA).forEach(([name, spec]) => {
+            if (!(name in source)) {
+                settings[name] = spec.default;
+                return;
+            }
+            const value = sanitizeSetting(name, source[name]);
+            if (value === undefined) {
+                onProblem(`${spec.label}: ${JSON.stringify(source[name])} is not valid, using ${JSON.stringify(spec.default)}`);
+                settings[name] = spec.default;
+            } else {
+                if (spec.type === 'number' && value !== Number(source[name])) {
+                    onProblem(`${spec.label}: ${source[name]} is outside ${spec.min}–${spec.max}, using ${value}`);
+                }
+                settings[name] = value;
+            }
+        });
+        Object.keys(source).filter(name => !SETTINGS_SCHEMA[name]).forEach(name => onProblem(`Unknown setting "${name}" ignored`));
+        return settings;
+    }
+
+    function loadSettings() {
+        try {
+            return sanitizeSettings(JSON.parse(GM_getValue(STORAGE_KEY_SETTINGS, '{}')));
+        } catch (e) {
+            console.error("Gemini Tracker: Error parsing settings, using defaults.", e);
+            return sanitizeSettings({});
+        }
+    }
+
+    function getSetting(name) {
+        return loadSettings()[name];
+    }
+
+    function saveSettings(settings) {
+        GM_setValue(STORAGE_KEY_SETTINGS, JSON.stringify(sanitizeSettings(settings, problem => console.warn(`Gemini Tracker: Settings: ${problem}.`))));
+    }
+
+    function setSetting(name, value) {
+        saveSettings({ ...loadSettings(), [name]: value });
+        console.log(`Gemini Tracker: Setting "${name}" is now ${JSON.stringify(getSetting(name))}.`);
+        applySettings();
+    }
+
+    // Brings everything that renders a setting in line with the stored values
+    function applySettings() {
+        applyTheme();
+        if (!uiPanel) return;
+        updateDevModeVisuals(getSetting('devMode'));
+        uiPanel.querySelector('#tracker-chart-days').value = String(getSetting('chartDays'));
+        renderSettingsSection();
+        renderAlertsSection();
+        refreshPanel();
+    }
+
+    // Folds the per-setting GM keys used before the settings object existed into it (once)
+    function migrateLegacySettings() {
+        if (GM_getValue(STORAGE_KEY_SETTINGS, null) !== null) return;
+        const legacy = {};
+        Object.entries(SETTINGS_SCHEMA).forEach(([name, spec]) => {
+            const value = spec.legacyKey ? GM_getValue(spec.legacyKey, null) : null;
+            if (value !== null) legacy[name] = value;
+        });
+        saveSettings(legacy);
+        Object.values(SETTINGS_SCHEMA).forEach(spec => {
+            if (spec.legacyKey) GM_deleteValue(spec.legacyKey);
+        });
+        if (Object.keys(legacy).length > 0) {
+            console.log(`Gemini Tracker: Moved ${Object.keys(legacy).length} setting(s) into ${STORAGE_KEY_SETTINGS}.`);
+        }
+    }
+
+    function createSettingControl(name, spec, value) {
+        const controlId = `tracker-setting-${name}`;
+        if (spec.type === 'boolean') {
+            const { container, checkbox } = createSwitchSetting(controlId, spec.label);
+            checkbox.checked = value;
+            checkbox.addEventListener('change', () => setSetting(name, checkbox.checked));
+            return container;
+        }
+
+        const container = document.createElement('div');
+        container.className = 'tracker-setting';
+        const label = document.createElement('label');
+        label.htmlFor = controlId;
+        label.textContent = spec.label;
+        container.appendChild(label);
+
+        let control;
+        if (spec.type === 'choice') {
+            control = document.createElement('select');
+            control.className = 'tracker-small-select';
+            spec.options.forEach(([optionValue, optionLabel]) => control.add(new Option(optionLabel, String(optionValue))));
+        } else {
+            control = document.createElement('input');
+            control.type = 'number';
+            control.className = 'tracker-setting-number';
+            control.min = String(spec.min);
+            control.max = String(spec.max);
+            control.step = '1';
+        }
+        control.id = controlId;
+        control.value = String(value);
+        control.addEventListener('change', () => setSetting(name, control.value));
+        container.appendChild(control);
+        return container;
+    }
+
+    function renderSettingsSection() {
+        const body = uiPanel && uiPanel.querySelector('#tracker-settings-section .tracker-section-body');
+        if (!body) return;
+        const focusedId = body.contains(document.activeElement) ? document.activeElement.id : '';
+        body.innerHTML = '';
+
+        const settings = loadSettings();
+        Object.entries(SETTINGS_SCHEMA).forEach(([name, spec]) => {
+            const row = createSettingControl(name, spec, settings[name]);
+            row.title = spec.description;
+            body.appendChild(row);
+        });
+
+        const moreActions = document.createElement('div');
+        moreActions.className = 'tracker-section-actions';
+        moreActions.appendChild(createSmallButton('Day boundary…', `Days are currently bucketed in ${describeDayBoundary(getDayBoundary())}`, promptForDayBoundary));
+        moreActions.appendChild(createSmallButton('Shortcuts…', 'Change the keyboard shortcuts', promptForHotkeys));
+        body.appendChild(moreActions);
+
+        const fileActions = document.createElement('div');
+        fileActions.className = 'tracker-section-actions';
+        fileActions.appendChild(createSmallButton('Export', 'Download these settings plus limits, shortcuts, alerts, day boundary and sync endpoint (never the token)', exportSettings));
+        fileActions.appendChild(createSmallButton('Import…', 'Apply a settings file shared by your team', importSettingsFromFile));
+        fileActions.appendChild(createSmallButton('Defaults', 'Restore the settings above to their defaults', resetSettingsToDefaults));
+        body.appendChild(fileActions);
+
+        const refocus = focusedId && document.getElementById(focusedId);
+        if (refocus) refocus.focus();
+    }
+
+    function resetSettingsToDefaults() {
+        showTrackerDialog({
+            title: 'Reset settings',
+            message: 'Restore every setting in the Settings section to its default?\nLimits, keyboard shortcuts, the day boundary and team sync are kept.',
+            buttons: [
+                { label: 'Cancel', value: 'cancel' },
+                { label: 'Reset', value: 'reset', primary: true },
+            ],
+        }, (choice) => {
+            if (choice !== 'reset') return;
+            saveSettings({});
+            console.log("Gemini Tracker: Settings reset to defaults.");
+            applySettings();
+        });
+    }
+
+    // Everything a team would standardise on; the sync token and client id are personal and never leave the browser
+    function exportSettings() {
+        const { timeZone, resetHour } = getDayBoundary();
+        const syncSettings = loadSyncSettings();
+        const payload = {
+            format: SETTINGS_EXPORT_FORMAT,
+            version: SETTINGS_EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            settings: loadSettings(),
+            limits: loadLimitSettings(),
+            hotkeys: loadHotkeys(),
+            alertRules: loadAlertRules(),
+            dayBoundary: { timeZone, resetHour },
+            sync: { enabled: syncSettings.enabled, endpoint: syncSettings.endpoint },
+        };
+        downloadFile(`gemini-tracker-settings-${getCurrentDateString()}.json`, JSON.stringify(payload, null, 2), 'application/json');
+        console.log("Gemini Tracker: Exported settings.");
+    }
+
+    /**
+     * Validates a settings export against the current configuration.
+     * @param {*} payload Parsed JSON file.
+     * @returns {{settings: Object, problems: string[], changes: Array<[string, string, string]>, apply: function(): void}}
+     */
+    function parseSettingsImport(payload) {
+        if (!payload || payload.format !== SETTINGS_EXPORT_FORMAT) {
+            throw new Error('This is not a Gemini Tracker settings file. Usage exports are imported with "Import…" below the chart.');
+        }
+        if (payload.version > SETTINGS_EXPORT_VERSION) {
+            throw new Error(`Settings file version ${payload.version} is newer than this script supports.`);
+        }
+        const problems = [];
+        const changes = [];
+        const steps = [];
+        const describe = value => (typeof value === 'boolean' ? (value ? 'On' : 'Off') : String(value));
+
+        // Settings missing from the file keep their current value rather than falling back to defaults
+        const current = loadSettings();
+        const settings = sanitizeSettings({ ...current, ...(payload.settings || {}) }, problem => problems.push(problem));
+        Object.keys(SETTINGS_SCHEMA).forEach(name => {
+            if (settings[name] !== current[name]) changes.push([SETTINGS_SCHEMA[name].label, describe(current[name]), describe(settings[name])]);
+        });
+        steps.push(() => saveSettings(settings));
+
+        if (payload.limits && typeof payload.limits === 'object') {
+            const { limits, thresholds } = payload.limits;
+            const imported = { limits: limits || {}, thresholds: thresholds || {} };
+            if (JSON.stringify(imported) !== JSON.stringify(loadLimitSettings())) {
+                changes.push(['Model limits & thresholds', 'Current', 'From file']);
+                steps.push(() => saveLimitSettings(imported)); // loadLimitSettings drops invalid entries on read
+            }
+        }
+        if (payload.hotkeys && typeof payload.hotkeys === 'object') {
+            const currentHotkeys = loadHotkeys();
+            const hotkeys = { ...currentHotkeys };
+            Object.keys(DEFAULT_HOTKEYS).forEach(action => {
+                if (typeof payload.hotkeys[action] === 'string') hotkeys[action] = payload.hotkeys[action];
+            });
+            Object.keys(DEFAULT_HOTKEYS).filter(action => hotkeys[action] !== currentHotkeys[action]).forEach(action => {
+                changes.push([`Shortcut: ${HOTKEY_LABELS[action]}`, currentHotkeys[action] || 'Disabled', hotkeys[action] || 'Disabled']);
+            });
+            steps.push(() => GM_setValue(STORAGE_KEY_HOTKEYS, JSON.stringify(hotkeys)));
+        }
+        const alertRules = sanitizeAlertRules(payload.alertRules);
+        if (alertRules && JSON.stringify(alertRules) !== JSON.stringify(loadAlertRules())) {
+            changes.push(['Alerts', `${loadAlertRules().length} rule(s)`, `${alertRules.length} rule(s)`]);
+            steps.push(() => saveAlertRules(alertRules));
+        }
+        if (payload.dayBoundary && typeof payload.dayBoundary === 'object') {
+            const { timeZone, resetHour } = payload.dayBoundary;
+            const currentBoundary = getDayBoundary();
+            if (!isValidTimeZone(timeZone) || !Number.isInteger(resetHour) || resetHour < 0 || resetHour > 23) {
+                problems.push(`Day boundary ${JSON.stringify(payload.dayBoundary)} is not valid and was skipped`);
+            } else if (timeZone !== currentBoundary.timeZone || resetHour !== currentBoundary.resetHour) {
+                changes.push(['Day boundary', describeDayBoundary(currentBoundary), describeDayBoundary({ timeZone, resetHour })]);
+                steps.push(() => setDayBoundary(timeZone, resetHour));
+            }
+        }
+        if (payload.sync && typeof payload.sync === 'object') {
+            const endpoint = typeof payload.sync.endpoint === 'string' ? payload.sync.endpoint.trim() : '';
+            const currentSync = loadSyncSettings();
+            if (endpoint && !isValidSyncEndpoint(endpoint)) {
+                problems.push(`Sync endpoint "${endpoint}" is not an http(s) URL and was skipped`);
+            } else {
+                const enabled = payload.sync.enabled === true && endpoint !== '';
+                if (endpoint !== currentSync.endpoint || enabled !== currentSync.enabled) {
+                    changes.push(['Team sync', currentSync.enabled ? currentSync.endpoint : 'Off', enabled ? endpoint : 'Off']);
+                    steps.push(() => {
+                        saveSyncSettings({ ...loadSyncSettings(), enabled, endpoint }); // Keeps this browser's token and client id
+                        teamTotalsCache = {};
+                        if (enabled) retrySyncNow();
+                    });
+                }
+            }
+        }
+        return { settings, problems, changes, apply: () => steps.forEach(step => step()) };
+    }
+
+    function importSettingsFromFile() {
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files && fileInput.files[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = () => {
+                let imported;
+                try {
+                    imported = parseSettingsImport(JSON.parse(String(reader.result)));
+                } catch (e) {
+                    console.error("Gemini Tracker: Settings import failed.", e);
+                    alert(`Settings import failed: ${e.message}`);
+                    return;
+                }
+                imported.problems.forEach(problem => console.warn(`Gemini Tracker: Settings import: ${problem}.`));
+                const problemNote = imported.problems.length > 0
+                    ? `\n${imported.problems.length} value(s) were invalid and skipped or replaced (see console).`
+                    : '';
+                if (imported.changes.length === 0) {
+                    alert(`${file.name} matches your current settings.${problemNote}`);
+                    return;
+                }
+
+                const content = document.createElement('div');
+                content.className = 'tracker-import-preview';
+                const table = document.createElement('table');
+                const header = table.createTHead().insertRow();
+                ['Setting', 'Current', 'Imported'].forEach(text => {
+                    const cell = document.createElement('th');
+                    cell.textContent = text;
+                    header.appendChild(cell);
+                });
+                imported.changes.forEach(change => {
+                    const row = table.insertRow();
+                    change.forEach(text => {
+                        row.insertCell().textContent = text;
+                    });
+                });
+                content.appendChild(table);
+
+                showTrackerDialog({
+                    title: `Import settings from ${file.name}`,
+                    message: `${imported.changes.length} change(s). Your sync token and usage history are not affected.${problemNote}`,
+                    content,
+                    buttons: [
+                        { label: 'Cancel', value: 'cancel' },
+                        { label: 'Apply', value: 'apply', primary: true },
+                    ],
+                }, (choice) => {
+                    if (choice !== 'apply') return;
+                    imported.apply();
+                    console.log(`Gemini Tracker: Imported ${imported.changes.length} setting change(s) from ${file.name}.`);
+                    selectedDate = getCurrentDateString(); // The day boundary may have moved "today"
+                    if (flatpickrInstance) flatpickrInstance.set('maxDate', selectedDate);
+                    applySettings();
+                });
+            };
+            reader.readAsText(file);
+        });
+        fileInput.click();
+    }
+
+    // --- Export / Import ---
+    const EXPORT_FORMAT = 'gemini-usage-tracker';
+    const EXPORT_VERSION = 1;
+
+    function downloadFile(fileName, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function exportCountsAsJSON() {
+        const payload = {
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            dayBoundary: getDayBoundary(),
+            counts: loadAllCounts(),
+        };
+        downloadFile(`gemini-usage-${getCurrentDateString()}.json`, JSON.stringify(payload, null, 2), 'application/json');
+        console.log("Gemini Tracker: Exported usage history as JSON.");
+    }
+
+    function toCsvField(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function exportCountsAsCSV() {
+        const allCounts = loadAllCounts();
+        const lines = ['date,model,count'];
+        Object.keys(allCounts).sort().forEach(dateKey => {
+            Object.keys(allCounts[dateKey]).sort().forEach(modelName => {
+                lines.push([dateKey, modelName, allCounts[dateKey][modelName]].map(toCsvField).join(','));
+            });
+        });
+        downloadFile(`gemini-usage-${getCurrentDateString()}.csv`, lines.join('\r\n') + '\r\n', 'text/csv');
+        console.log("Gemini Tracker: Exported usage history as CSV.");
+    }
+
+    // Minimal RFC 4180 parser: quoted fields, escaped quotes and CRLF/LF line endings
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(r => r.length > 1 || r[0].trim() !== '');
+    }
+
+    /**
+     * Turns the text of an exported JSON or CSV file into a validated date → model → count map.
+     * @returns {{counts: Object, problems: string[]}}
+     * @throws {Error} If the file can't be understood at all.
+     */
+    function parseImportFile(fileName, text) {
+        const problems = [];
+        let rawCounts;
+        if (/\.csv$/i.test(fileName) || /^\s*date\s*,/i.test(text)) {
+            const rows = parseCsv(text);
+            const header = (rows.shift() || []).map(cell => cell.trim().toLowerCase());
+            const dateIndex = header.indexOf('date');
+            const modelIndex = header.indexOf('model');
+            const countIndex = header.indexOf('count');
+            if (dateIndex === -1 || modelIndex === -1 || countIndex === -1) {
+                throw new Error("CSV must have date, model and count columns.");
+            }
+            rawCounts = {};
+            rows.forEach(row => {
+                const dateKey = (row[dateIndex] || '').trim();
+                const modelName = (row[modelIndex] || '').trim();
+                if (!dateKey || !modelName) {
+                    problems.push(`Skipped incomplete row "${row.join(',')}".`);
+                    return;
+                }
+                rawCounts[dateKey] = rawCounts[dateKey] || {};
+                const cell = (row[countIndex] || '').trim();
+                rawCounts[dateKey][modelName] = cell === '' ? NaN : Number(cell);
+            });
+        } else {
+            const parsed = JSON.parse(text);
+            if (parsed && parsed.format === EXPORT_FORMAT) {
+                if (parsed.version > EXPORT_VERSION) {
+                    throw new Error(`Export version ${parsed.version} is newer than this script supports.`);
+                }
+                rawCounts = parsed.counts;
+            } else if (parsed && typeof parsed.schemaVersion === 'number') {
+                rawCounts = parsed.days; // A copy of the stored value
+            } else {
+                rawCounts = parsed; // A bare date → model → count map, e.g. a pre-v2 stored value
+            }
+        }
+        const counts = sanitizeCounts(rawCounts, problem => problems.push(problem));
+        if (!counts) {
+            throw new Error("File doesn't contain usage data.");
+        }
+        return { counts, problems };
+    }
+
+    /**
+     * Combines imported counts with the existing history.
+     * @param {'sum'|'max'|'replace'} mode
+     */
+    function mergeCounts(currentCounts, importedCounts, mode) {
+        if (mode === 'replace') {
+            return JSON.parse(JSON.stringify(importedCounts));
+        }
+        const merged = JSON.parse(JSON.stringify(currentCounts));
+        Object.keys(importedCounts).forEach(dateKey => {
+            merged[dateKey] = merged[dateKey] || {};
+            Object.keys(importedCounts[dateKey]).forEach(modelName => {
+                const current = merged[dateKey][modelName] || 0;
+                const incoming = importedCounts[dateKey][modelName];
+                merged[dateKey][modelName] = mode === 'sum' ? current + incoming : Math.max(current, incoming);
+            });
+        });
+        return merged;
+    }
+
+    // Lists every cell where the imported (or otherwise new) value differs from what's stored
+    function buildImportPreview(currentCounts, importedCounts, newValueLabel = 'Imported') {
+        const differences = [];
+        Object.keys(importedCounts).sort().forEach(dateKey => {
+            Object.keys(importedCounts[dateKey]).sort().forEach(modelName => {
+                const current = (currentCounts[dateKey] || {})[modelName] || 0;
+                const incoming = importedCounts[dateKey][modelName];
+                if (current !== incoming) {
+                    differences.push({ dateKey, modelName, current, incoming });
+                }
+            });
+        });
+
+        const container = document.createElement('div');
+        container.className = 'tracker-import-preview';
+        if (differences.length === 0) {
+            container.textContent = `Every ${newValueLabel.toLowerCase()} value matches what is already stored.`;
+            return container;
+        }
+
+        const table = document.createElement('table');
+        const headerRow = table.insertRow();
+        ['Date', 'Model', 'Current', newValueLabel].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headerRow.appendChild(th);
+        });
+        const MAX_PREVIEW_ROWS = 50;
+        differences.slice(0, MAX_PREVIEW_ROWS).forEach(({ dateKey, modelName, current, incoming }) => {
+            const row = table.insertRow();
+            [dateKey, modelName, current, incoming].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+        });
+        container.appendChild(table);
+        if (differences.length > MAX_PREVIEW_ROWS) {
+            const more = document.createElement('div');
+            more.textContent = `…and ${differences.length - MAX_PREVIEW_ROWS} more differences.`;
+            container.appendChild(more);
+        }
+        return container;
+    }
+
+    function importCountsFromFile() {
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,.csv,application/json,text/csv';
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files && fileInput.files[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = () => {
+                let imported;
+                try {
+                    imported = parseImportFile(file.name, String(reader.result));
+                } catch (e) {
+                    console.error("Gemini Tracker: Import failed.", e);
+                    alert(`Import failed: ${e.message}`);
+                    return;
+                }
+                const currentCounts = loadAllCounts();
+                const dayCount = Object.keys(imported.counts).length;
+                const problemNote = imported.problems.length > 0
+                    ? `\n${imported.problems.length} entries were fixed up during validation (see console).`
+                    : '';
+                imported.problems.forEach(problem => console.warn(`Gemini Tracker: Import: ${problem}`));
+
+                showTrackerDialog({
+                    title: `Import ${file.name}`,
+                    message: `${dayCount} day(s) found. Sum and max merge into the existing history; replace discards it.${problemNote}`,
+                    content: buildImportPreview(currentCounts, imported.counts),
+                    buttons: [
+                        { label: 'Cancel', value: 'cancel' },
+                        { label: 'Replace', value: 'replace' },
+                        { label: 'Merge (max)', value: 'max' },
+                        { label: 'Merge (sum)', value: 'sum', primary: true },
+                    ],
+                }, (choice) => {
+                    if (choice === 'cancel') return;
+                    if (isStoredSchemaNewer()) {
+                        alert("Nothing was imported: the stored usage data is from a newer version of the script.");
+                        return;
+                    }
+                    // Merged against the freshest counts inside the lock, like any other audited change
+                    const firstDate = Object.keys(imported.counts).sort()[0] || getCurrentDateString();
+                    commitAuditedChange('import', firstDate, allCounts => diffCounts(allCounts, mergeCounts(allCounts, imported.counts, choice)))
+                        .then(entry => {
+                            console.log(`Gemini Tracker: Imported ${dayCount} day(s) from ${file.name} using "${choice}"; ${entry ? entry.changes.length : 0} cell(s) changed.`);
+                            refreshPanel();
+                            if (entry) offerUndo(entry, `Imported ${file.name}: ${entry.changes.length} cell(s) changed`);
+                        });
+                });
+            };
+            reader.readAsText(file);
+        });
+        fileInput.click();
+    }
+
+    // --- UI Creation and Management ---
+
+    let uiPanel = null;
+    let toggleButton = null;
+    let datePickerInput = null;
+    let flatpickrInstance = null;
+    let heatmapCache = null; // { allCounts, maxTotal, limitSettings, limitHits } while the calendar is open
+
+    function createUI() {
+        // Inject flatpickr CSS
+        const flatpickrStyles = GM_getResourceText("flatpickrCSS");
+        GM_addStyle(flatpickrStyles);
+        flatpickrThemeStyle = GM_addStyle(''); // Filled (and swapped) by applyTheme
+        applyTheme();
+
+        // Toggle Button
+        toggleButton = document.createElement('button');
+        toggleButton.type = 'button';
+        toggleButton.id = 'gemini-tracker-toggle';
+        toggleButton.setAttribute('aria-controls', 'gemini-tracker-panel');
+        toggleButton.setAttribute('aria-expanded', 'false');
+        // SVG icon remains the same
+        toggleButton.innerHTML = `
+            <svg xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 0 24 24" width="24px" fill="#FFFFFF">
+                <path d="M0 0h24v24H0V0z" fill="none"/>
+                <path d="M19.35 10.04C18.67 6.59 15.64 4 12 4 9.11 4 6.6 5.64 5.35 8.04 2.34 8.36 0 10.91 0 14c0 3.31 2.69 6 6 6h13c2.76 0 5-2.24 5-5 0-2.64-2.05-4.78-4.65-4.96zM14 13v4h-4v-4H7l5-5 5 5h-3z"/>
+            </svg>
+        `;
+        toggleButton.title = `Show/Hide Gemini Usage Stats (${loadHotkeys().togglePanel})`;
+        toggleButton.setAttribute('aria-label', 'Show or hide Gemini usage stats');
+        document.body.appendChild(toggleButton);
+
+        // Stats Panel Structure
+        uiPanel = document.createElement('div');
+        uiPanel.id = 'gemini-tracker-panel';
+        uiPanel.setAttribute('role', 'dialog');
+        uiPanel.setAttribute('aria-label', 'Gemini model usage');
+        uiPanel.innerHTML = `
+            <div class="tracker-header">
+                <h3>Model Usage</h3>
+                 <div class="tracker-date-selector-container">
+                    <input type="text" id="tracker-date-selector" placeholder="Select Date" aria-label="Date to show">
+                 </div>
+                <button id="tracker-mini-btn" class="tracker-header-btn" title="Collapse to a mini counter next to the model switcher" aria-label="Collapse to mini counter">&#8213;</button>
+                <button id="tracker-dock-btn" class="tracker-header-btn" title="Dock as a sidebar" aria-label="Dock as a sidebar">&#8677;</button>
+                <button id="tracker-close-btn" title="Close" aria-label="Close usage panel">&times;</button>
+            </div>
+            <div class="tracker-range-controls">
+                <select id="tracker-range-preset" title="Show a single day or totals over a range">
+                    <option value="day">Single day</option>
+                    <option value="last7">Last 7 days</option>
+                    <option value="month">This month</option>
+                    <option value="last30">Last 30 days</option>
+                    <option value="custom">Custom range…</option>
+                </select>
+            </div>
+            <div id="tracker-zone-label" class="tracker-zone-label"></div>
+            <ul id="tracker-list"></ul>
+            <div class="tracker-chart-section">
+                <div class="tracker-chart-header">
+                    <span id="tracker-chart-title">Daily usage</span>
+                    <select id="tracker-chart-days" title="Days shown in the chart and sparklines">
+                        ${CHART_DAY_OPTIONS.map(days => `<option value="${days}">${days} days</option>`).join('')}
+                    </select>
+                </div>
+                <div id="tracker-chart"></div>
+                <div id="tracker-chart-legend"></div>
+            </div>
+            <details class="tracker-section" id="tracker-breakdown-section">
+                <summary>Conversations &amp; Gems</summary>
+                <div class="tracker-section-body"></div>
+            </details>
+            <details class="tracker-section" id="tracker-models-section">
+                <summary>Models</summary>
+                <div class="tracker-section-body"></div>
+            </details>
+            <details class="tracker-section" id="tracker-detection-section">
+                <summary>Detection</summary>
+                <div class="tracker-section-body"></div>
+            </details>
+            <details class="tracker-section" id="tracker-history-section">
+                <summary>Change History</summary>
+                <div class="tracker-section-body"></div>
+            </details>
+            <details class="tracker-section" id="tracker-sync-section">
+                <summary>Team Sync</summary>
+                <div class="tracker-section-body"></div>
+            </details>
+            <details class="tracker-section" id="tracker-alerts-section">
+                <summary>Alerts</summary>
+                <div class="tracker-section-body"></div>
+            </details>
+            <details class="tracker-section" id="tracker-settings-section">
+                <summary>Settings</summary>
+                <div class="tracker-section-body"></div>
+            </details>
+            <div class="tracker-separator"></div>
+            <div class="tracker-data-actions">
+                <button id="tracker-export-json-btn" title="Download the full usage history as JSON">Export JSON</button>
+                <button id="tracker-export-csv-btn" title="Download the full usage history as CSV (date,model,count)">Export CSV</button>
+                <button id="tracker-import-btn" title="Import a JSON or CSV export">Import…</button>
+            </div>
+            <div class="tracker-data-actions tracker-dev-only">
+                <button id="tracker-bulk-edit-btn" title="Set, add or subtract a model's count across a date range">Bulk Edit…</button>
+            </div>
+             <button id="tracker-reset-btn" title="Reset counts for selected date">Reset Counts for Day</button>
+        `;
+        document.body.appendChild(uiPanel);
+
+        // --- Date Picker Initialization ---
+        datePickerInput = uiPanel.querySelector('#tracker-date-selector');
+        flatpickrInstance = flatpickr(datePickerInput, {
+            dateFormat: "Y-m-d",
+            defaultDate: selectedDate, // Set initial date
+            maxDate: getCurrentDateString(), // Optional: prevent future dates?
+            onOpen: function (selectedDates, dateStr, instance) {
+                heatmapCache = null; // Pick up usage recorded since the calendar was last drawn
+                instance.set('maxDate', getCurrentDateString()); // "Today" moves with the day boundary
+                instance.redraw();
+            },
+            onDayCreate: function (selectedDates, dateStr, instance, dayElem) {
+                decorateCalendarDay(instance.formatDate(dayElem.dateObj, "Y-m-d"), dayElem);
+            },
+            onClose: function (selectedDates, dateStr, instance) {
+                // A range picked only halfway falls back to what was shown before
+                if (instance.config.mode === 'range' && selectedDates.length < 2) {
+                    if (selectedRange) {
+                        instance.setDate([selectedRange.start, selectedRange.end], false);
+                        uiPanel.querySelector('#tracker-range-preset').value = activeRangePreset;
+                    } else {
+                        setRangePreset('day');
+                    }
+                }
+            },
+            altInput: true, // Show user-friendly format, submit standard format
+            altFormat: "M j, Y", // Example: Mar 31, 2025
+            onChange: function (selectedDates, dateStr, instance) {
+                if (instance.config.mode === 'range') {
+                    if (selectedDates.length < 2) return; // Wait for the end of the range
+                    const [start, end] = selectedDates.map(date => instance.formatDate(date, "Y-m-d"));
+                    console.log("Selected range:", start, end);
+                    selectedRange = { start, end };
+                    activeRangePreset = 'custom';
+                    uiPanel.querySelector('#tracker-range-preset').value = 'custom';
+                    updateRangeUI(selectedRange);
+                    return;
+                }
+                console.log("Selected date:", dateStr);
+                selectedDate = dateStr; // Update global selected date
+                updateUI(selectedDate); // Refresh the list for the new date
+            },
+        });
+
+
+        renderSettingsSection(); // Rendered up front: the Developer Mode switch mirrors the panel's edit state
+
+
+        // --- Event Listeners ---
+        toggleButton.addEventListener('click', () => {
+            if (!consumeDragClick()) toggleUIVisibility();
+        });
+        uiPanel.querySelector('#tracker-mini-btn').addEventListener('click', () => setMiniMode(true));
+        uiPanel.querySelector('#tracker-dock-btn').addEventListener('click', toggleSidebarDock);
+        initPanelLayout();
+        uiPanel.querySelector('#tracker-close-btn').addEventListener('click', () => {
+            setUIVisibility(false);
+            toggleButton.focus();
+        });
+        uiPanel.addEventListener('keydown', handlePanelKeydown);
+        uiPanel.querySelector('#tracker-range-preset').addEventListener('change', (event) => setRangePreset(event.target.value));
+        uiPanel.querySelector('#tracker-breakdown-section').addEventListener('toggle', renderBreakdownSection);
+        const alertsSection = uiPanel.querySelector('#tracker-alerts-section');
+        alertsSection.addEventListener('toggle', () => {
+            if (alertsSection.open) renderAlertsSection();
+        });
+        const modelsSection = uiPanel.querySelector('#tracker-models-section');
+        modelsSection.addEventListener('toggle', () => {
+            if (modelsSection.open) renderModelsSection();
+        });
+        const detectionSection = uiPanel.querySelector('#tracker-detection-section');
+        detectionSection.addEventListener('toggle', () => {
+            if (detectionSection.open) renderDetectionSection();
+        });
+        const historySection = uiPanel.querySelector('#tracker-history-section');
+        historySection.addEventListener('toggle', () => {
+            if (historySection.open) renderHistorySection();
+        });
+        const syncSection = uiPanel.querySelector('#tracker-sync-section');
+        syncSection.addEventListener('toggle', () => {
+            if (syncSection.open) renderSyncSection();
+        });
+        const chartDaysSelect = uiPanel.querySelector('#tracker-chart-days');
+        chartDaysSelect.value = String(getChartDays());
+        chartDaysSelect.addEventListener('change', () => setSetting('chartDays', Number(chartDaysSelect.value)));
+        // Reset button now resets for the selected date
+        uiPanel.querySelector('#tracker-reset-btn').addEventListener('click', resetCountsForSelectedDate);
+        uiPanel.querySelector('#tracker-bulk-edit-btn').addEventListener('click', openBulkEditor);
+        uiPanel.querySelector('#tracker-export-json-btn').addEventListener('click', exportCountsAsJSON);
+        uiPanel.querySelector('#tracker-export-csv-btn').addEventListener('click', exportCountsAsCSV);
+        uiPanel.querySelector('#tracker-import-btn').addEventListener('click', importCountsFromFile);
+
+        // Edit listener remains largely the same, but passes selectedDate to save function
+        const listElement = uiPanel.querySelector('#tracker-list');
+        listElement.addEventListener('click', (event) => activateListCell(event.target));
+        // Count and limit cells are role="button", so Enter and Space activate them like a click
+        listElement.addEventListener('keydown', (event) => {
+            const isCell = event.target.classList.contains('model-count') || event.target.classList.contains('model-limit');
+            if (isCell && (event.key === 'Enter' || event.key === ' ')) {
+                event.preventDefault();
+                cellToRefocus = { className: event.target.classList[0], modelName: event.target.dataset.modelName };
+                activateListCell(event.target);
+            }
+        });
+
+        // --- Initial State ---
+        const isVisible = GM_getValue(UI_VISIBLE_KEY, false);
+        setUIVisibility(isVisible); // Set initial panel visibility
+
+        const initialDevMode = getSetting('devMode');
+        updateDevModeVisuals(initialDevMode); // Set initial dev mode visuals
+
+        // Populate with counts for the initially selected date
+        updateUI(selectedDate);
+        updateDetectionWarning();
+    }
+
+    function activateListCell(target) {
+        const isDevModeEnabled = getSetting('devMode');
+        if (selectedRange && target.classList.contains('model-count')) {
+            console.log("Gemini Tracker: Range totals can't be edited. Switch to a single day to edit counts.");
+        } else if (isDevModeEnabled && target.classList.contains('model-count') && !target.isEditing) {
+            makeCountEditable(target);
+        } else if (!isDevModeEnabled && target.classList.contains('model-count')) {
+            console.log("Gemini Tracker: Editing disabled. Enable Developer Mode to edit counts.");
+        } else if (target.classList.contains('model-limit') && !target.isEditing) {
+            // Limits are configuration rather than usage data, so they're editable outside Developer Mode
+            makeLimitEditable(target);
+        }
+    }
+
+    // Builds a labelled switch row in the same style as the Developer Mode toggle
+    function createSwitchSetting(checkboxId, labelText) {
+        const container = document.createElement('div');
+        container.className = 'tracker-setting';
+
+        const label = document.createElement('label');
+        label.htmlFor = checkboxId;
+        label.textContent = labelText;
+
+        const toggle = document.createElement('label');
+        toggle.className = 'switch';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = checkboxId;
+
+        const slider = document.createElement('span');
+        slider.className = 'slider round';
+
+        toggle.appendChild(checkbox);
+        toggle.appendChild(slider);
+
+        container.appendChild(label);
+        container.appendChild(toggle);
+        return { container, checkbox };
+    }
+
+    /**
+     * Shows an in-page modal dialog with a row of buttons.
+     * @param {{title: string, message: string, content?: HTMLElement, buttons: Array<{label: string, value: string, primary?: boolean}>, cancelValue?: string}} options
+     * @param {function(string): void} onChoice Called with the chosen button's value (or cancelValue on Escape).
+     */
+    function showTrackerDialog({ title, message, content, buttons, cancelValue = 'cancel' }, onChoice) {
+        const overlay = document.createElement('div');
+        overlay.className = 'tracker-dialog-overlay';
+
+        const dialog = document.createElement('div');
+        dialog.className = 'tracker-dialog';
+        dialog.setAttribute('role', 'alertdialog');
+        dialog.setAttribute('aria-modal', 'true');
+
+        const heading = document.createElement('h4');
+        heading.textContent = title;
+        const body = document.createElement('p');
+        body.textContent = message;
+
+        const buttonRow = document.createElement('div');
+        buttonRow.className = 'tracker-dialog-buttons';
+
+        const close = (value) => {
+            overlay.remove();
+            document.removeEventListener('keydown', onKeydown, true);
+            onChoice(value);
+        };
+        const onKeydown = (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                close(cancelValue);
+            }
+        };
+
+        buttons.forEach(({ label, value, primary }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = primary ? 'tracker-dialog-btn primary' : 'tracker-dialog-btn';
+            button.textContent = label;
+            button.addEventListener('click', () => close(value));
+            buttonRow.appendChild(button);
+        });
+
+        dialog.appendChild(heading);
+        dialog.appendChild(body);
+        if (content) dialog.appendChild(content);
+        dialog.appendChild(buttonRow);
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+        document.addEventListener('keydown', onKeydown, true);
+        buttonRow.lastElementChild.focus();
+        return dialog;
+    }
+
+    /**
+     * Shows a short-lived notice above the toggle button, replacing any toast already showing.
+     * @param {string} message
+     * @param {{actionLabel?: string, onAction?: function(): void, duration?: number}} [options]
+     */
+    function showToast(message, { actionLabel, onAction, duration = TOAST_DURATION_MS } = {}) {
+        const existing = document.getElementById('tracker-toast');
+        if (existing) existing.remove();
+
+        const toast = document.createElement('div');
+        toast.id = 'tracker-toast';
+        toast.setAttribute('role', 'status');
+        const text = document.createElement('span');
+        text.textContent = message;
+        toast.appendChild(text);
+
+        const timer = setTimeout(() => toast.remove(), duration);
+        if (actionLabel && onAction) {
+            const actionButton = document.createElement('button');
+            actionButton.type = 'button';
+            actionButton.textContent = actionLabel;
+            actionButton.addEventListener('click', () => {
+                clearTimeout(timer);
+                toast.remove();
+                onAction();
+            });
+            toast.appendChild(actionButton);
+        }
+        document.body.appendChild(toast);
+        return toast;
+    }
+
+    function setUIVisibility(visible) {
+        if (!uiPanel || !toggleButton) return;
+        if (visible && loadLayout().mini) {
+            saveLayout({ ...loadLayout(), mini: false }); // Opening the panel leaves mini HUD mode
+            applyLayout();
+        }
+        uiPanel.style.display = visible ? 'block' : 'none';
+        toggleButton.classList.toggle('active', visible);
+        toggleButton.setAttribute('aria-expanded', String(visible));
+        document.body.classList.toggle('gemini-tracker-panel-open', visible);
+        GM_setValue(UI_VISIBLE_KEY, visible);
+    }
+
+    function toggleUIVisibility() {
+        if (!uiPanel) return;
+        const currentlyVisible = uiPanel.style.display === 'block';
+        setUIVisibility(!currentlyVisible);
+        if (!currentlyVisible && selectedRange) {
+            updateDevModeVisuals(getSetting('devMode'));
+            refreshPanel(); // Recomputes preset ranges in case the day rolled over
+        } else if (!currentlyVisible) {
+            // When opening, refresh UI for the currently selected date
+            selectedDate = flatpickrInstance ? flatpickrInstance.selectedDates[0] ? flatpickrInstance.formatDate(flatpickrInstance.selectedDates[0], "Y-m-d") : getCurrentDateString() : getCurrentDateString(); // Ensure selectedDate is current
+            if (flatpickrInstance && !flatpickrInstance.selectedDates[0]) {
+                flatpickrInstance.setDate(selectedDate, false); // Update calendar if it lost selection
+            }
+            const currentDevMode = getSetting('devMode');
+            updateDevModeVisuals(currentDevMode); // Ensure dev mode visuals are correct
+            updateUI(selectedDate); // Refresh content for the selected date
+        }
+    }
+
+    // --- Update Visuals Based on Dev Mode State ---
+    function updateDevModeVisuals(isEnabled) {
+        const devModeCheckbox = document.getElementById('tracker-setting-devMode');
+        if (devModeCheckbox) {
+            devModeCheckbox.checked = isEnabled;
+        }
+        if (uiPanel) {
+            uiPanel.classList.toggle('dev-mode-active', isEnabled);
+        }
+        // Styling changes handled by CSS based on 'dev-mode-active' class
+    }
+
+
+    function updateUI(dateString) {
+        if (!uiPanel) return;
+        const listElement = uiPanel.querySelector('#tracker-list');
+        if (!listElement) return;
+
+        setResetButtonEnabled(true);
+
+        // Ensure the calendar input reflects the date being displayed
+        if (flatpickrInstance && datePickerInput.value !== dateString) {
+            // Update flatpickr's internal date without triggering onChange
+            flatpickrInstance.setDate(dateString, false);
+        }
+
+        const countsForDay = getCountsForDate(dateString);
+        updateZoneLabel(dateString);
+
+        // Clear previous entries
+        listElement.innerHTML = '';
+
+        const isDevModeEnabled = getSetting('devMode');
+        const limitSettings = loadLimitSettings();
+        const allCounts = loadAllCounts();
+        const sparklineDates = enumerateDates(shiftDateString(dateString, -(getChartDays() - 1)), dateString);
+        const outcomesForDay = loadSubmissionOutcomes()[dateString] || {};
+        const limitHits = loadLimitHits();
+        const teamTotals = getTeamTotals(dateString, dateString);
+        const promptDetails = getSetting('promptDetails') ? getPromptDetails(dateString, dateString) : {};
+
+        const modelsToDisplay = getModelsToDisplay(teamTotals ? { ...zeroCounts(teamTotals), ...countsForDay } : countsForDay);
+        if (teamTotals) listElement.appendChild(createTeamHeader());
+
+        let hasUsage = false;
+        for (const modelName of modelsToDisplay) {
+            const count = countsForDay[modelName] || 0; // Get count, default to 0 if not present
+            if (count > 0) hasUsage = true;
+
+            const listItem = document.createElement('li');
+
+            const nameSpan = document.createElement('span');
+            nameSpan.className = 'model-name';
+            nameSpan.textContent = modelName;
+            nameSpan.title = modelName;
+
+            const countSpan = document.createElement('span');
+            countSpan.className = 'model-count';
+            countSpan.textContent = count;
+            countSpan.dataset.modelName = modelName; // Store model name for editing
+
+            if (isDevModeEnabled) {
+                countSpan.title = 'Click to edit';
+            } else {
+                countSpan.title = ''; // No tooltip when not editable
+            }
+            makeCellControl(countSpan, `${modelName}: ${count} uses on ${dateString}`, isDevModeEnabled);
+
+            // Quota: "used / limit" plus a progress bar when a limit is configured
+            const limit = limitSettings.limits[modelName] || null;
+            const quotaStatus = getQuotaStatus(count, limit, limitSettings.thresholds);
+            listItem.classList.add(`quota-${quotaStatus}`);
+
+            const usageSpan = document.createElement('span');
+            usageSpan.className = 'model-usage';
+            usageSpan.appendChild(countSpan);
+
+            const limitSpan = document.createElement('span');
+            limitSpan.className = 'model-limit';
+            limitSpan.textContent = limit ? `/ ${limit}` : '/ –';
+            limitSpan.title = limit ? 'Click to change daily limit' : 'Click to set daily limit';
+            const suggestion = suggestModelLimit(modelName, limitHits);
+            if (suggestion && suggestion.limit !== limit) {
+                limitSpan.title += ` (suggested: ${suggestion.limit}, from ${suggestion.samples} limit notice(s))`;
+            }
+            limitSpan.dataset.modelName = modelName;
+            makeCellControl(limitSpan, limit ? `Daily limit for ${modelName}: ${limit}` : `Set a daily limit for ${modelName}`, true);
+            usageSpan.appendChild(limitSpan);
+
+            listItem.appendChild(nameSpan);
+            const outcomesBadge = createOutcomesBadge(outcomesForDay[modelName]);
+            if (outcomesBadge) listItem.appendChild(outcomesBadge);
+            listItem.appendChild(createSparkline(sparklineDates.map(dateKey => (allCounts[dateKey] || {})[modelName] || 0), getModelColor(modelName)));
+            if (teamTotals) listItem.appendChild(createTeamCount(teamTotals[modelName] || 0));
+            listItem.appendChild(usageSpan);
+            if (count > 0) {
+                const deleteButton = createSmallButton('×', `Delete ${modelName} on ${dateString}`, () => deleteModelEntry(modelName, dateString));
+                deleteButton.classList.add('tracker-row-delete', 'tracker-dev-only');
+                listItem.appendChild(deleteButton);
+            }
+
+            if (limit) {
+                const quotaBar = document.createElement('div');
+                quotaBar.className = 'model-quota-bar';
+                const quotaFill = document.createElement('div');
+                quotaFill.className = 'model-quota-fill';
+                quotaFill.style.width = `${Math.min(100, (count / limit) * 100)}%`;
+                quotaBar.appendChild(quotaFill);
+                listItem.appendChild(quotaBar);
+            }
+
+            const limitHit = limitHits.find(hit => hit.date === dateString && hit.model === modelName);
+            if (limitHit) {
+                const hitNote = document.createElement('div');
+                hitNote.className = 'model-limit-hit';
+                hitNote.textContent = `Limit hit at ${limitHit.uses} uses`;
+                hitNote.title = `${new Date(limitHit.ts).toLocaleString()}: ${limitHit.notice}`;
+                listItem.appendChild(hitNote);
+            }
+            const detailsLine = createPromptDetailsLine(promptDetails[modelName]);
+            if (detailsLine) listItem.appendChild(detailsLine);
+
+            listElement.appendChild(listItem);
+        }
+
+        // Add a message if the list is empty or all counts are zero for the day
+        if (modelsToDisplay.length === 0 || !hasUsage) {
+            const emptyItem = document.createElement('li');
+            emptyItem.textContent = `No usage tracked for ${dateString}.`;
+            emptyItem.style.fontStyle = 'italic';
+            emptyItem.style.opacity = '0.7';
+            emptyItem.style.justifyContent = 'center'; // Center the empty message
+            listElement.appendChild(emptyItem);
+        }
+
+        listElement.appendChild(createAddEntryRow(dateString, modelsToDisplay));
+
+        const chartEnd = dateString > getCurrentDateString() ? dateString : getCurrentDateString();
+        renderUsageChart(shiftDateString(chartEnd, -(getChartDays() - 1)), chartEnd);
+        renderBreakdownSection();
+        updateToggleQuotaState();
+        restoreCellFocus(listElement);
+    }
+
+    // Developer Mode row for entering a count for a model that isn't listed for the day
+    function createAddEntryRow(dateString, modelsToDisplay) {
+        const addItem = document.createElement('li');
+        addItem.className = 'tracker-add-entry tracker-dev-only';
+        const modelInput = document.createElement('input');
+        modelInput.type = 'text';
+        modelInput.placeholder = 'Model';
+        modelInput.setAttribute('aria-label', `Model to add on ${dateString}`);
+        modelInput.setAttribute('list', 'tracker-model-options');
+        const datalist = document.createElement('datalist');
+        datalist.id = 'tracker-model-options';
+        getModelNames({ includeHidden: true }).concat(modelsToDisplay).forEach(model => datalist.appendChild(new Option(model)));
+        const countInput = document.createElement('input');
+        countInput.type = 'number';
+        countInput.min = '0';
+        countInput.value = '1';
+        countInput.className = 'edit-count-input';
+        countInput.setAttribute('aria-label', 'Count');
+        const submit = () => addModelEntry(modelInput.value, countInput.value, dateString);
+        [modelInput, countInput].forEach(input => input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') submit();
+        }));
+        addItem.appendChild(modelInput);
+        addItem.appendChild(datalist);
+        addItem.appendChild(countInput);
+        addItem.appendChild(createSmallButton('Add', `Set this count on ${dateString}`, submit));
+        return addItem;
+    }
+
+    // Visible defined models plus any other model with counts, defined models first, each group alphabetical
+    function getModelsToDisplay(counts) {
+        const knownModels = getModelNames({ includeHidden: true });
+        const modelsToDisplay = getModelNames(); // Hidden models only show up when they have counts
+        Object.keys(counts).forEach(model => {
+            if (!modelsToDisplay.includes(model)) {
+                modelsToDisplay.push(model);
+            }
+        });
+        return modelsToDisplay.sort((a, b) => {
+            const aIsKnown = knownModels.includes(a);
+            const bIsKnown = knownModels.includes(b);
+            if (aIsKnown && !bIsKnown) return -1;
+            if (!aIsKnown && bIsKnown) return 1;
+            return a.localeCompare(b);
+        });
+    }
+
+    // --- Range View ---
+    const RANGE_PRESETS = {
+        last7: () => ({ start: shiftDateString(getCurrentDateString(), -6), end: getCurrentDateString() }),
+        month: () => ({ start: `${getCurrentDateString().slice(0, 8)}01`, end: getCurrentDateString() }),
+        last30: () => ({ start: shiftDateString(getCurrentDateString(), -29), end: getCurrentDateString() }),
+    };
+
+    function setRangePreset(preset) {
+        const presetSelect = uiPanel.querySelector('#tracker-range-preset');
+        if (presetSelect.value !== preset) presetSelect.value = preset;
+        if (preset === 'custom') {
+            // The previous preset stays active until onChange has both ends; onClose restores it otherwise
+            flatpickrInstance.set('mode', 'range');
+            flatpickrInstance.clear(false);
+            flatpickrInstance.open();
+            return;
+        }
+        activeRangePreset = preset;
+
+        if (preset === 'day') {
+            selectedRange = null;
+            flatpickrInstance.set('mode', 'single');
+            flatpickrInstance.setDate(selectedDate, false);
+            updateUI(selectedDate);
+            return;
+        }
+        flatpickrInstance.set('mode', 'range');
+        selectedRange = RANGE_PRESETS[preset]();
+        refreshPanel();
+    }
+
+    // Re-renders whatever the panel is showing: a preset/custom range or the selected day
+    function refreshPanel() {
+        if (!selectedRange) {
+            updateUI(selectedDate);
+            return;
+        }
+        if (RANGE_PRESETS[activeRangePreset]) {
+            selectedRange = RANGE_PRESETS[activeRangePreset]();
+        }
+        updateRangeUI(selectedRange);
+    }
+
+    /**
+     * Aggregates counts over an inclusive date range.
+     * @returns {{dates: string[], totals: Object<string, number>, peaks: Object<string, {date: string, count: number}>}}
+     */
+    function getRangeSummary(startDate, endDate) {
+        const allCounts = loadAllCounts();
+        const dates = enumerateDates(startDate, endDate);
+        const totals = {};
+        const peaks = {};
+        dates.forEach(dateKey => {
+            const dailyCounts = allCounts[dateKey] || {};
+            Object.keys(dailyCounts).forEach(modelName => {
+                const count = dailyCounts[modelName];
+                totals[modelName] = (totals[modelName] || 0) + count;
+                if (count > 0 && (!peaks[modelName] || count > peaks[modelName].count)) {
+                    peaks[modelName] = { date: dateKey, count };
+                }
+            });
+        });
+        return { dates, totals, peaks };
+    }
+
+    function setResetButtonEnabled(enabled) {
+        const resetButton = uiPanel.querySelector('#tracker-reset-btn');
+        resetButton.disabled = !enabled;
+        resetButton.title = enabled ? 'Reset counts for selected date' : 'Switch to a single day to reset its counts';
+    }
+
+    function updateRangeUI({ start, end }) {
+        if (!uiPanel) return;
+        const listElement = uiPanel.querySelector('#tracker-list');
+        if (!listElement) return;
+
+        setResetButtonEnabled(false);
+        if (flatpickrInstance) {
+            const shown = flatpickrInstance.selectedDates.map(date => flatpickrInstance.formatDate(date, "Y-m-d"));
+            if (shown[0] !== start || shown[1] !== end) {
+                flatpickrInstance.setDate([start, end], false);
+            }
+        }
+        updateZoneLabel(start);
+
+        const { dates, totals, peaks } = getRangeSummary(start, end);
+        const teamTotals = getTeamTotals(start, end);
+        const promptDetails = getSetting('promptDetails') ? getPromptDetails(start, end) : {};
+        listElement.innerHTML = '';
+
+        const summaryItem = document.createElement('li');
+        summaryItem.className = 'tracker-range-summary';
+        const grandTotal = Object.values(totals).reduce((sum, count) => sum + count, 0);
+        summaryItem.textContent = `${dates.length} day${dates.length === 1 ? '' : 's'} · ${grandTotal} total`;
+        listElement.appendChild(summaryItem);
+
+        if (teamTotals) listElement.appendChild(createTeamHeader());
+
+        const modelsToDisplay = getModelsToDisplay(teamTotals ? { ...zeroCounts(teamTotals), ...totals } : totals)
+            .filter(modelName => totals[modelName] > 0 || (teamTotals && teamTotals[modelName] > 0));
+        for (const modelName of modelsToDisplay) {
+            const total = totals[modelName] || 0;
+            const listItem = document.createElement('li');
+
+            const nameSpan = document.createElement('span');
+            nameSpan.className = 'model-name';
+            nameSpan.textContent = modelName;
+            nameSpan.title = modelName;
+
+            const countSpan = document.createElement('span');
+            countSpan.className = 'model-count';
+            countSpan.textContent = total;
+            countSpan.dataset.modelName = modelName;
+            makeCellControl(countSpan, `${modelName}: ${total} uses from ${start} to ${end}`, false);
+
+            const statsDiv = document.createElement('div');
+            statsDiv.className = 'model-range-stats';
+            const average = (total / dates.length).toFixed(1);
+            const peak = peaks[modelName];
+            statsDiv.textContent = peak ? `avg ${average}/day · peak ${peak.count} on ${peak.date}` : 'no personal usage';
+
+            listItem.appendChild(nameSpan);
+            if (teamTotals) listItem.appendChild(createTeamCount(teamTotals[modelName] || 0));
+            listItem.appendChild(countSpan);
+            listItem.appendChild(statsDiv);
+            const detailsLine = createPromptDetailsLine(promptDetails[modelName]);
+            if (detailsLine) listItem.appendChild(detailsLine);
+            listElement.appendChild(listItem);
+        }
+
+        if (modelsToDisplay.length === 0) {
+            const emptyItem = document.createElement('li');
+            emptyItem.textContent = `No usage tracked from ${start} to ${end}.`;
+            emptyItem.style.fontStyle = 'italic';
+            emptyItem.style.opacity = '0.7';
+            emptyItem.style.justifyContent = 'center';
+            listElement.appendChild(emptyItem);
+        }
+
+        renderUsageChart(start, end); // In range mode the chart covers the range itself
+        renderBreakdownSection();
+        updateToggleQuotaState();
+    }
+
+    // --- Conversations & Gems Section ---
+    // Ranks where prompts went for the shown day or range. Built from the event log, so it only reaches back as
+    // far as the event retention setting; manual edits and imports aren't tied to a conversation and are skipped.
+    const BREAKDOWN_MAX_CONVERSATIONS = 20;
+
+    /**
+     * Totals prompt submissions per conversation and per Gem over an inclusive date range.
+     * @returns {{conversations: Array<{conversationId: ?string, gemId: ?string, gemName: ?string, count: number, models: Object<string, number>}>,
+     *     gems: Array<{gemId: ?string, gemName: ?string, count: number, conversationCount: number}>}}
+     */
+    function getUsageBreakdown(startDate, endDate) {
+        const conversations = {};
+        const gems = {};
+        loadUsageEvents().forEach(event => {
+            if (!SUBMISSION_SOURCES.includes(event.source) || event.date < startDate || event.date > endDate) return;
+            const conversationKey = event.conversationId || '';
+            const conversation = conversations[conversationKey]
+                || (conversations[conversationKey] = { conversationId: event.conversationId || null, gemId: null, gemName: null, count: 0, models: {} });
+            conversation.count += event.delta;
+            conversation.models[event.model] = (conversation.models[event.model] || 0) + event.delta;
+            if (event.gemId) {
+                conversation.gemId = event.gemId;
+                conversation.gemName = event.gemName || conversation.gemName; // Events are in time order, so the latest name wins
+            }
+
+            const gemKey = event.gemId || '';
+            const gem = gems[gemKey] || (gems[gemKey] = { gemId: event.gemId || null, gemName: null, count: 0, conversationKeys: new Set() });
+            gem.count += event.delta;
+            gem.gemName = event.gemName || gem.gemName;
+            gem.conversationKeys.add(conversationKey);
+        });
+        // A conversation whose events predate the Gem header rendering still gets the name seen elsewhere
+        Object.values(conversations).forEach(conversation => {
+            if (conversation.gemId && !conversation.gemName) conversation.gemName = gems[conversation.gemId].gemName;
+        });
+        const byCount = (a, b) => b.count - a.count;
+        return {
+            conversations: Object.values(conversations).filter(conversation => conversation.count > 0).sort(byCount),
+            gems: Object.values(gems).filter(gem => gem.count > 0).sort(byCount)
+                .map(({ conversationKeys, ...gem }) => ({ ...gem, conversationCount: conversationKeys.size })),
+        };
+    }
+
+    // Gemini lists recent chats in its sidebar; use that title when the conversation happens to be listed
+    function findConversationTitle(conversationId) {
+        const link = document.querySelector(`a[href$="/${conversationId}"]`);
+        const title = link && !link.closest('#gemini-tracker-panel') ? link.textContent.trim() : '';
+        return title || null;
+    }
+
+    function getConversationUrl({ conversationId, gemId }) {
+        const accountPrefix = (location.pathname.match(/^\/u\/\d+/) || [''])[0]; // Stay in the signed-in account
+        return gemId ? `${accountPrefix}/gem/${gemId}/${conversationId}` : `${accountPrefix}/app/${conversationId}`;
+    }
+
+    function describeModelCounts(models) {
+        return Object.entries(models)
+            .filter(([, count]) => count > 0)
+            .sort((a, b) => b[1] - a[1])
+            .map(([modelName, count]) => `${modelName} ${count}`)
+            .join(', ');
+    }
+
+    function createBreakdownItem(labelElement, detailText, count) {
+        const item = document.createElement('li');
+        const info = document.createElement('div');
+        info.className = 'tracker-registry-info';
+        labelElement.classList.add('tracker-registry-name');
+        info.appendChild(labelElement);
+        if (detailText) {
+            const details = document.createElement('span');
+            details.className = 'tracker-registry-aliases';
+            details.textContent = detailText;
+            details.title = detailText;
+            info.appendChild(details);
+        }
+        item.appendChild(info);
+        const countSpan = document.createElement('span');
+        countSpan.className = 'tracker-breakdown-count';
+        countSpan.textContent = count;
+        item.appendChild(countSpan);
+        return item;
+    }
+
+    function renderBreakdownSection() {
+        const section = uiPanel && uiPanel.querySelector('#tracker-breakdown-section');
+        if (!section || !section.open) return; // Re-rendered with the panel only while expanded
+        const body = section.querySelector('.tracker-section-body');
+        body.innerHTML = '';
+
+        const { start, end } = selectedRange || { start: selectedDate, end: selectedDate };
+        const retentionDays = getSetting('eventRetentionDays');
+        const retainedFrom = shiftDateString(getCurrentDateString(), -retentionDays);
+        if (start < retainedFrom) {
+            const note = document.createElement('div');
+            note.className = 'tracker-registry-aliases';
+            note.textContent = `Per-conversation detail is kept for ${retentionDays} days; usage before ${retainedFrom} isn't included.`;
+            body.appendChild(note);
+        }
+
+        const { conversations, gems } = getUsageBreakdown(start, end);
+        if (conversations.length === 0) {
+            body.appendChild(document.createTextNode('No prompts recorded for this period.'));
+            return;
+        }
+
+        if (gems.some(gem => gem.gemId)) {
+            const heading = document.createElement('div');
+            heading.className = 'tracker-section-subheading';
+            heading.textContent = 'Gems';
+            body.appendChild(heading);
+            const gemList = document.createElement('ul');
+            gemList.className = 'tracker-registry-list tracker-breakdown-list';
+            gems.forEach(gem => {
+                const label = document.createElement('span');
+                label.textContent = gem.gemId ? (gem.gemName || `Gem ${gem.gemId.slice(0, 8)}`) : 'Regular chats (no Gem)';
+                if (gem.gemId) label.title = `Gem ID ${gem.gemId}`;
+                const detail = `${gem.conversationCount} conversation${gem.conversationCount === 1 ? '' : 's'}`;
+                gemList.appendChild(createBreakdownItem(label, detail, gem.count));
+            });
+            body.appendChild(gemList);
+        }
+
+        const heading = document.createElement('div');
+        heading.className = 'tracker-section-subheading';
+        heading.textContent = 'Conversations';
+        body.appendChild(heading);
+        const conversationList = document.createElement('ul');
+        conversationList.className = 'tracker-registry-list tracker-breakdown-list';
+        const currentConversationId = getConversationId();
+        conversations.slice(0, BREAKDOWN_MAX_CONVERSATIONS).forEach(conversation => {
+            let label;
+            if (conversation.conversationId) {
+                label = document.createElement('a');
+                label.href = getConversationUrl(conversation);
+                label.textContent = findConversationTitle(conversation.conversationId) || `Chat ${conversation.conversationId.slice(0, 8)}`;
+                label.title = `Open conversation ${conversation.conversationId}`;
+            } else {
+                label = document.createElement('span');
+                label.textContent = 'New chats (ID not captured)';
+                label.title = 'Prompts sent from a new chat whose ID never appeared in the URL, e.g. because the tab was closed right away';
+            }
+            const detail = [conversation.gemId && (conversation.gemName || `Gem ${conversation.gemId.slice(0, 8)}`), describeModelCounts(conversation.models)]
+                .filter(Boolean).join(' · ');
+            const item = createBreakdownItem(label, detail, conversation.count);
+            item.classList.toggle('current', Boolean(conversation.conversationId) && conversation.conversationId === currentConversationId);
+            conversationList.appendChild(item);
+        });
+        body.appendChild(conversationList);
+        if (conversations.length > BREAKDOWN_MAX_CONVERSATIONS) {
+            const more = document.createElement('div');
+            more.className = 'tracker-registry-aliases';
+            more.textContent = `…and ${conversations.length - BREAKDOWN_MAX_CONVERSATIONS} more conversation(s).`;
+            body.appendChild(more);
+        }
+    }
+
+    // --- Models Section ---
+
+    function createSmallButton(label, title, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'tracker-small-btn';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    // Re-renders the registry editor and everything that depends on model names
+    function afterRegistryChange() {
+        renderModelsSection();
+        refreshPanel();
+    }
+
+    function renderModelsSection() {
+        const body = uiPanel.querySelector('#tracker-models-section .tracker-section-body');
+        if (!body) return;
+        body.innerHTML = '';
+
+        const limitHits = loadLimitHits();
+        const registryList = document.createElement('ul');
+        registryList.className = 'tracker-registry-list';
+        loadModelRegistry().forEach(model => {
+            const item = document.createElement('li');
+            item.classList.toggle('hidden-model', model.hidden);
+
+            const info = document.createElement('div');
+            info.className = 'tracker-registry-info';
+            const name = document.createElement('span');
+            name.className = 'tracker-registry-name';
+            name.textContent = model.name;
+            info.appendChild(name);
+            if (model.aliases.length > 0) {
+                const aliases = document.createElement('span');
+                aliases.className = 'tracker-registry-aliases';
+                aliases.textContent = `aliases: ${model.aliases.join(', ')}`;
+                info.appendChild(aliases);
+            }
+            const suggestion = suggestModelLimit(model.name, limitHits);
+            const currentLimit = getModelLimit(model.name);
+            if (suggestion && suggestion.limit !== currentLimit) {
+                const suggested = document.createElement('span');
+                suggested.className = 'tracker-registry-aliases';
+                suggested.textContent = `suggested limit: ${suggestion.limit} (current: ${currentLimit || 'none'})`;
+                suggested.title = `Median of the last ${suggestion.samples} time(s) Gemini reported this model's limit`;
+                info.appendChild(suggested);
+            }
+            item.appendChild(info);
+
+            if (suggestion && suggestion.limit !== currentLimit) {
+                item.appendChild(createSmallButton('Use limit', `Set the daily limit to ${suggestion.limit}`, () => {
+                    setModelLimit(model.name, suggestion.limit);
+                    afterRegistryChange();
+                }));
+            }
+
+            item.appendChild(createSmallButton('Rename', 'Rename this model; the old name becomes an alias', () => {
+                const newName = prompt(`Rename "${model.name}" to:`, model.name);
+                if (newName !== null && renameModel(model.name, newName)) afterRegistryChange();
+            }));
+            item.appendChild(createSmallButton('Aliases', 'Text prefixes from Gemini\'s model switcher that count as this model', () => {
+                const input = prompt(`Alias prefixes for "${model.name}" (comma-separated):`, model.aliases.join(', '));
+                if (input === null) return;
+                updateModel(model.name, { aliases: input.split(',').map(alias => alias.trim()).filter(Boolean) });
+                const merged = mergeAliasHistory(model.name);
+                if (merged > 0) console.log(`Gemini Tracker: Merged ${merged} aliased model(s) into "${model.name}".`);
+                afterRegistryChange();
+            }));
+            item.appendChild(createSmallButton(model.hidden ? 'Show' : 'Hide', model.hidden ? 'Show this model again' : 'Hide this retired model when it has no usage', () => {
+                updateModel(model.name, { hidden: !model.hidden });
+                afterRegistryChange();
+            }));
+            registryList.appendChild(item);
+        });
+        body.appendChild(registryList);
+
+        const addRow = document.createElement('div');
+        addRow.className = 'tracker-registry-add';
+        const addInput = document.createElement('input');
+        addInput.type = 'text';
+        addInput.placeholder = 'New model name';
+        addInput.setAttribute('aria-label', 'New model name');
+        addRow.appendChild(addInput);
+        addRow.appendChild(createSmallButton('Add', 'Add a model to the registry', () => {
+            if (addModel(addInput.value)) afterRegistryChange();
+        }));
+        body.appendChild(addRow);
+
+        const unregistered = getUnregisteredModels();
+        const unregisteredNames = Object.keys(unregistered).sort();
+        if (unregisteredNames.length === 0) return;
+
+        const heading = document.createElement('div');
+        heading.className = 'tracker-section-subheading';
+        heading.textContent = 'Unrecognized models';
+        body.appendChild(heading);
+
+        const registeredNames = getModelNames({ includeHidden: true });
+        const unregisteredList = document.createElement('ul');
+        unregisteredList.className = 'tracker-registry-list';
+        unregisteredNames.forEach(rawName => {
+            const item = document.createElement('li');
+            const info = document.createElement('div');
+            info.className = 'tracker-registry-info';
+            const name = document.createElement('span');
+            name.className = 'tracker-registry-name';
+            name.textContent = rawName;
+            name.title = `${unregistered[rawName]} use(s) recorded`;
+            info.appendChild(name);
+            item.appendChild(info);
+
+            item.appendChild(createSmallButton('Promote', 'Add this model to the registry', () => {
+                if (addModel(rawName)) afterRegistryChange();
+            }));
+
+            const mergeSelect = document.createElement('select');
+            mergeSelect.className = 'tracker-small-select';
+            mergeSelect.setAttribute('aria-label', `Merge ${rawName} into`);
+            mergeSelect.innerHTML = '<option value="">Merge into…</option>';
+            registeredNames.forEach(registeredName => {
+                const option = document.createElement('option');
+                option.value = registeredName;
+                option.textContent = registeredName;
+                mergeSelect.appendChild(option);
+            });
+            mergeSelect.addEventListener('change', () => {
+                const target = mergeSelect.value;
+                if (!target) return;
+                if (confirm(`Merge all counts recorded as "${rawName}" into "${target}" and add it as an alias?`)) {
+                    mergeIntoModel(rawName, target);
+                    afterRegistryChange();
+                } else {
+                    mergeSelect.value = '';
+                }
+            });
+            item.appendChild(mergeSelect);
+            unregisteredList.appendChild(item);
+        });
+        body.appendChild(unregisteredList);
+    }
+
+    // --- History Section ---
+
+    function renderHistorySection() {
+        const body = uiPanel && uiPanel.querySelector('#tracker-history-section .tracker-section-body');
+        if (!body) return;
+        body.innerHTML = '';
+
+        const auditLog = loadAuditLog();
+        if (auditLog.length === 0) {
+            body.textContent = 'No manual changes yet.';
+            return;
+        }
+
+        const list = document.createElement('ul');
+        list.className = 'tracker-registry-list tracker-history-list';
+        auditLog.slice().reverse().forEach(entry => {
+            const item = document.createElement('li');
+            item.classList.toggle('reverted', Boolean(entry.revertedBy));
+
+            const info = document.createElement('div');
+            info.className = 'tracker-registry-info';
+            const heading = document.createElement('span');
+            heading.className = 'tracker-registry-name';
+            heading.textContent = `${AUDIT_ACTIONS[entry.action].label} ${describeAuditDates(entry)}`;
+            heading.title = new Date(entry.ts).toLocaleString();
+            info.appendChild(heading);
+            const details = document.createElement('span');
+            details.className = 'tracker-registry-aliases';
+            const showDates = describeAuditDates(entry) !== entry.date;
+            details.textContent = entry.changes
+                .map(change => `${showDates ? `${change.date} ` : ''}${change.model}: ${change.oldValue} → ${change.newValue}`)
+                .join(', ');
+            details.title = `${details.textContent}\n${new Date(entry.ts).toLocaleString()}`;
+            info.appendChild(details);
+            item.appendChild(info);
+
+            if (entry.revertedBy) {
+                const revertedLabel = document.createElement('span');
+                revertedLabel.className = 'tracker-registry-aliases';
+                revertedLabel.textContent = 'reverted';
+                item.appendChild(revertedLabel);
+            } else {
+                item.appendChild(createSmallButton('Revert', 'Undo this change, keeping usage recorded since', () => revertAuditEntry(entry.id)));
+            }
+            list.appendChild(item);
+        });
+        body.appendChild(list);
+    }
+
+    // --- Detection Section ---
+
+    // Flags the toggle button and Detection section when detection failed today, so breakage is noticed the same day
+    function updateDetectionWarning() {
+        if (!toggleButton) return;
+        const today = loadDetectionStats().days[getCurrentDateString()];
+        const failing = Boolean(today && today.failures > 0);
+        toggleButton.classList.toggle('detection-warning', failing);
+        const summary = uiPanel && uiPanel.querySelector('#tracker-detection-section > summary');
+        if (summary) {
+            summary.textContent = failing ? `Detection ⚠ ${today.failures} failure(s) today` : 'Detection';
+        }
+    }
+
+    function renderDetectionSection() {
+        const body = uiPanel.querySelector('#tracker-detection-section .tracker-section-body');
+        if (!body) return;
+        body.innerHTML = '';
+
+        const stats = loadDetectionStats();
+        const strategies = loadDetectionStrategies();
+        const labelFor = (strategyId) => {
+            const strategy = strategies.find(s => s.id === strategyId);
+            return strategy ? strategy.label : strategyId;
+        };
+        const today = stats.days[getCurrentDateString()] || { attempts: 0, failures: 0 };
+
+        const summary = document.createElement('div');
+        summary.className = 'tracker-diagnostics';
+        const lines = [
+            ['Failure rate today', formatRate(today.failures, today.attempts)],
+            ['Failure rate overall', formatRate(stats.failures, stats.attempts)],
+        ];
+        if (stats.last) {
+            lines.push(['Last match', stats.last.strategyId ? labelFor(stats.last.strategyId) : 'None (recorded as Unknown)']);
+            lines.push(['Last raw text', stats.last.rawText || '–']);
+            lines.push(['Last model', stats.last.modelName || UNKNOWN_MODEL]);
+        }
+        lines.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            const labelSpan = document.createElement('span');
+            labelSpan.textContent = label;
+            const valueSpan = document.createElement('span');
+            valueSpan.textContent = value;
+            valueSpan.title = value;
+            row.appendChild(labelSpan);
+            row.appendChild(valueSpan);
+            summary.appendChild(row);
+        });
+        body.appendChild(summary);
+
+        const testResult = document.createElement('div');
+        testResult.className = 'tracker-detection-test';
+        const actions = document.createElement('div');
+        actions.className = 'tracker-section-actions';
+        actions.appendChild(createSmallButton('Test now', 'Run the strategies against the page without counting anything', () => {
+            const detection = detectModel();
+            testResult.textContent = detection.strategyId
+                ? `${labelFor(detection.strategyId)} → "${detection.rawText}" → ${detection.modelName}`
+                : 'No strategy matched.';
+        }));
+        actions.appendChild(createSmallButton('Reset stats', 'Clear the failure counters', () => {
+            GM_setValue(STORAGE_KEY_DETECTION_STATS, '{}');
+            updateDetectionWarning();
+            renderDetectionSection();
+        }));
+        body.appendChild(actions);
+        body.appendChild(testResult);
+
+        const heading = document.createElement('div');
+        heading.className = 'tracker-section-subheading';
+        heading.textContent = 'Strategies (tried top to bottom)';
+        body.appendChild(heading);
+
+        const list = document.createElement('ul');
+        list.className = 'tracker-registry-list';
+        const saveAndRender = (updated) => {
+            saveDetectionStrategies(updated);
+            renderDetectionSection();
+        };
+        strategies.forEach((strategy, index) => {
+            const item = document.createElement('li');
+            item.classList.toggle('hidden-model', !strategy.enabled);
+
+            const enabledBox = document.createElement('input');
+            enabledBox.type = 'checkbox';
+            enabledBox.checked = strategy.enabled;
+            enabledBox.setAttribute('aria-label', `Enable ${strategy.label}`);
+            enabledBox.addEventListener('change', () => {
+                strategies[index].enabled = enabledBox.checked;
+                saveAndRender(strategies);
+            });
+            item.appendChild(enabledBox);
+
+            const info = document.createElement('div');
+            info.className = 'tracker-registry-info';
+            const name = document.createElement('span');
+            name.className = 'tracker-registry-name';
+            name.textContent = `${strategy.label} (${stats.byStrategy[strategy.id] || 0} matches)`;
+            const selector = document.createElement('span');
+            selector.className = 'tracker-registry-aliases';
+            selector.textContent = strategy.selector;
+            selector.title = strategy.selector;
+            info.appendChild(name);
+            info.appendChild(selector);
+            item.appendChild(info);
+
+            item.appendChild(createSmallButton('↑', 'Try earlier', () => {
+                if (index === 0) return;
+                [strategies[index - 1], strategies[index]] = [strategies[index], strategies[index - 1]];
+                saveAndRender(strategies);
+            }));
+            item.appendChild(createSmallButton('↓', 'Try later', () => {
+                if (index === strategies.length - 1) return;
+                [strategies[index + 1], strategies[index]] = [strategies[index], strategies[index + 1]];
+                saveAndRender(strategies);
+            }));
+            item.appendChild(createSmallButton('×', 'Remove this strategy', () => {
+                if (strategies.length === 1) return; // Keep at least one
+                strategies.splice(index, 1);
+                saveAndRender(strategies);
+            }));
+            list.appendChild(item);
+        });
+        body.appendChild(list);
+
+        const addRow = document.createElement('div');
+        addRow.className = 'tracker-registry-add';
+        const selectorInput = document.createElement('input');
+        selectorInput.type = 'text';
+        selectorInput.placeholder = 'CSS selector of the model label';
+        selectorInput.setAttribute('aria-label', 'CSS selector for a new detection strategy');
+        addRow.appendChild(selectorInput);
+        addRow.appendChild(createSmallButton('Add', 'Add a strategy to the end of the chain', () => {
+            const selectorText = selectorInput.value.trim();
+            if (!selectorText || !isValidSelector(selectorText)) {
+                alert("That isn't a valid CSS selector.");
+                return;
+            }
+            strategies.push({ id: `custom-${Date.now().toString(36)}`, label: 'Custom selector', selector: selectorText, enabled: true });
+            saveAndRender(strategies);
+        }));
+        addRow.appendChild(createSmallButton('Defaults', 'Restore the built-in strategies', () => {
+            if (confirm('Replace the strategy list with the built-in defaults?')) {
+                GM_deleteValue(STORAGE_KEY_DETECTION_STRATEGIES);
+                renderDetectionSection();
+            }
+        }));
+        body.appendChild(addRow);
+    }
+
+    // --- Charts ---
+    const CHART_PALETTE = ['#8ab4f8', '#81c995', '#fdd663', '#f28b82', '#c58af9', '#78d9ec', '#fcad70', '#ff8bcb'];
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    function getChartDays() {
+        return getSetting('chartDays');
+    }
+
+    // Defined models keep a stable colour by position; other models hash into the palette
+    function getModelColor(modelName) {
+        const knownIndex = getModelNames({ includeHidden: true }).indexOf(modelName);
+        if (knownIndex !== -1) return CHART_PALETTE[knownIndex % CHART_PALETTE.length];
+        let hash = 0;
+        for (const char of modelName) {
+            hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+        }
+        return CHART_PALETTE[hash % CHART_PALETTE.length];
+    }
+
+    function createSvgElement(tag, attributes = {}) {
+        const element = document.createElementNS(SVG_NS, tag);
+        Object.keys(attributes).forEach(name => element.setAttribute(name, attributes[name]));
+        return element;
+    }
+
+    function createSparkline(values, color) {
+        const width = 48;
+        const height = 14;
+        const svg = createSvgElement('svg', { class: 'model-sparkline', width, height, viewBox: `0 0 ${width} ${height}`, 'aria-hidden': 'true' });
+        const max = Math.max(1, ...values);
+        const step = values.length > 1 ? width / (values.length - 1) : 0;
+        const points = values.map((value, i) => `${(i * step).toFixed(1)},${(height - 1 - (value / max) * (height - 2)).toFixed(1)}`);
+        svg.appendChild(createSvgElement('polyline', { points: points.join(' '), fill: 'none', stroke: color, 'stroke-width': 1.5, 'stroke-linejoin': 'round' }));
+        return svg;
+    }
+
+    // Jumps the panel to a single day, leaving range mode if needed
+    function showDate(dateString) {
+        selectedDate = dateString;
+        if (selectedRange) {
+            setRangePreset('day');
+        } else {
+            updateUI(selectedDate);
+        }
+    }
+
+    /**
+     * Draws a stacked bar per day from startDate to endDate. Hovering a bar shows its counts;
+     * clicking it opens that day in the panel.
+     */
+    function renderUsageChart(startDate, endDate) {
+        const chartContainer = uiPanel.querySelector('#tracker-chart');
+        const legendContainer = uiPanel.querySelector('#tracker-chart-legend');
+        if (!chartContainer) return;
+        chartContainer.innerHTML = '';
+        legendContainer.innerHTML = '';
+
+        const allCounts = loadAllCounts();
+        const dates = enumerateDates(startDate, endDate);
+        const rangeTotals = {};
+        dates.forEach(dateKey => {
+            Object.keys(allCounts[dateKey] || {}).forEach(modelName => {
+                rangeTotals[modelName] = (rangeTotals[modelName] || 0) + allCounts[dateKey][modelName];
+            });
+        });
+        const models = getModelsToDisplay(rangeTotals).filter(modelName => rangeTotals[modelName] > 0);
+        const dailyTotals = dates.map(dateKey => models.reduce((sum, modelName) => sum + ((allCounts[dateKey] || {})[modelName] || 0), 0));
+        const maxTotal = Math.max(1, ...dailyTotals);
+
+        uiPanel.querySelector('#tracker-chart-title').textContent = selectedRange ? `Daily usage, ${startDate} – ${endDate}` : 'Daily usage';
+
+        const width = 290;
+        const height = 80;
+        const slot = width / dates.length;
+        const barWidth = Math.max(2, slot * 0.7);
+        const svg = createSvgElement('svg', { width: '100%', height, viewBox: `0 0 ${width} ${height}`, preserveAspectRatio: 'none', role: 'img' });
+        svg.setAttribute('aria-label', `Stacked daily usage from ${startDate} to ${endDate}`);
+
+        const tooltip = document.createElement('div');
+        tooltip.className = 'tracker-chart-tooltip';
+
+        dates.forEach((dateKey, i) => {
+            const dailyCounts = allCounts[dateKey] || {};
+            const x = i * slot + (slot - barWidth) / 2;
+            const bar = createSvgElement('g', { class: 'tracker-chart-bar' });
+            if (!selectedRange && dateKey === selectedDate) bar.classList.add('selected');
+
+            // Full-height hit area so empty days can still be hovered and clicked
+            bar.appendChild(createSvgElement('rect', { class: 'tracker-chart-hit', x: i * slot, y: 0, width: slot, height }));
+            let y = height;
+            models.forEach(modelName => {
+                const count = dailyCounts[modelName] || 0;
+                if (count === 0) return;
+                const segmentHeight = (count / maxTotal) * (height - 4);
+                y -= segmentHeight;
+                bar.appendChild(createSvgElement('rect', { x, y, width: barWidth, height: segmentHeight, fill: getModelColor(modelName) }));
+            });
+
+            bar.addEventListener('mouseenter', () => {
+                const lines = models.filter(modelName => dailyCounts[modelName]).map(modelName => `${modelName}: ${dailyCounts[modelName]}`);
+                tooltip.textContent = `${dateKey}\n${lines.length ? lines.join('\n') : 'No usage'}`;
+                tooltip.style.left = `${Math.min(((i + 0.5) / dates.length) * 100, 75)}%`;
+                tooltip.style.display = 'block';
+            });
+            bar.addEventListener('mouseleave', () => { tooltip.style.display = 'none'; });
+            bar.addEventListener('click', () => showDate(dateKey));
+            svg.appendChild(bar);
+        });
+
+        chartContainer.appendChild(svg);
+        chartContainer.appendChild(tooltip);
+
+        models.forEach(modelName => {
+            const legendItem = document.createElement('span');
+            legendItem.className = 'tracker-chart-legend-item';
+            const swatch = document.createElement('span');
+            swatch.className = 'tracker-chart-swatch';
+            swatch.style.backgroundColor = getModelColor(modelName);
+            legendItem.appendChild(swatch);
+            legendItem.appendChild(document.createTextNode(modelName));
+            legendContainer.appendChild(legendItem);
+        });
+    }
+
+    // --- Calendar Heatmap ---
+
+    function getHeatmapData() {
+        if (!heatmapCache) {
+            const allCounts = loadAllCounts();
+            const dailyTotals = Object.values(allCounts).map(dailyCounts => Object.values(dailyCounts).reduce((sum, count) => sum + count, 0));
+            heatmapCache = { allCounts, maxTotal: Math.max(1, ...dailyTotals), limitSettings: loadLimitSettings(), limitHits: loadLimitHits() };
+        }
+        return heatmapCache;
+    }
+
+    // Shades a calendar day by total usage (GitHub-contribution style), flags limit hits and adds a breakdown tooltip
+    function decorateCalendarDay(dateKey, dayElem) {
+        const { allCounts, maxTotal, limitSettings, limitHits } = getHeatmapData();
+        const dailyCounts = allCounts[dateKey] || {};
+        const usedModels = Object.keys(dailyCounts).filter(modelName => dailyCounts[modelName] > 0).sort();
+        const total = usedModels.reduce((sum, modelName) => sum + dailyCounts[modelName], 0);
+        if (total === 0) return;
+
+        const level = Math.min(4, Math.ceil((total / maxTotal) * 4));
+        dayElem.classList.add(`tracker-heat-${level}`);
+
+        const modelsAtLimit = usedModels.filter(modelName => {
+            const limit = limitSettings.limits[modelName];
+            return (limit && dailyCounts[modelName] >= limit)
+                || limitHits.some(hit => hit.date === dateKey && hit.model === modelName);
+        });
+        if (modelsAtLimit.length > 0) {
+            dayElem.classList.add('tracker-limit-hit');
+        }
+
+        const lines = usedModels.map(modelName => `${modelName}: ${dailyCounts[modelName]}`);
+        if (modelsAtLimit.length > 0) {
+            lines.push(`Limit reached: ${modelsAtLimit.join(', ')}`);
+        }
+        dayElem.title = `${dateKey} · ${total} total\n${lines.join('\n')}`;
+    }
+
+    // Shows which zone the displayed day was bucketed in, flagging days recorded under an earlier setting
+    function updateZoneLabel(dateString) {
+        const zoneLabel = uiPanel.querySelector('#tracker-zone-label');
+        if (!zoneLabel) return;
+        const current = getDayBoundary();
+        const recordedWith = getDayBoundaryForDate(dateString);
+        const isOlderSetting = recordedWith.timeZone !== current.timeZone || recordedWith.resetHour !== current.resetHour;
+        zoneLabel.textContent = isOlderSetting
+            ? `Recorded in ${describeDayBoundary(recordedWith)} (before the day boundary changed)`
+            : `Days in ${describeDayBoundary(current)}`;
+        zoneLabel.classList.toggle('older-setting', isOlderSetting);
+    }
+
+    // Colours the toggle button by the worst quota status among today's counts
+    function updateToggleQuotaState() {
+        if (!toggleButton) return;
+        const limitSettings = loadLimitSettings();
+        const countsToday = getCountsForDate(getCurrentDateString());
+        let worstStatus = 'ok';
+        Object.keys(countsToday).forEach(modelName => {
+            const status = getQuotaStatus(countsToday[modelName], limitSettings.limits[modelName], limitSettings.thresholds);
+            if (status === 'danger' || (status === 'warning' && worstStatus !== 'danger')) {
+                worstStatus = status;
+            }
+        });
+        toggleButton.classList.toggle('quota-warning', worstStatus === 'warning');
+        toggleButton.classList.toggle('quota-danger', worstStatus === 'danger');
+        updateMiniHud();
+    }
+
+    // --- Editing Input Field Logic ---
+    function makeCountEditable(countSpan) {
+        countSpan.isEditing = true; // Prevent re-clicks
+        const currentCount = countSpan.textContent;
+        const modelName = countSpan.dataset.modelName;
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'edit-count-input';
+        input.value = currentCount;
+        input.min = "0";
+        input.setAttribute('aria-label', `Edit count for ${modelName} on ${selectedDate}`);
+
+        countSpan.style.display = 'none';
+        countSpan.parentNode.insertBefore(input, countSpan.nextSibling);
+        input.focus();
+        input.select();
+
+        const removeInput = (saveValue) => {
+            if (!document.body.contains(input)) return; // Already removed
+
+            // Find the parent li in case we need to restore the span manually
+            const parentListItem = input.closest('li');
+
+            if (saveValue) {
+                // Pass the currently selectedDate to the save function
+                manuallySetCount(modelName, input.value, selectedDate);
+                // manuallySetCount calls updateUI, so no need to restore span locally
+            } else {
+                // Cancel: Remove input, show original span
+                input.remove();
+                if (parentListItem) {
+                    // Find the original span within this specific list item
+                    const originalSpan = parentListItem.querySelector(`.model-count[data-model-name="${modelName}"]`);
+                    if (originalSpan) {
+                        originalSpan.style.display = ''; // Restore visibility
+                        originalSpan.isEditing = false; // Reset editing flag
+                        if (cellToRefocus) originalSpan.focus();
+                        cellToRefocus = null;
+                    }
+                }
+            }
+            // Reset flag in case of cancel/blur without save
+            // (It's implicitly reset by updateUI on successful save)
+            if (!saveValue && countSpan) countSpan.isEditing = false;
+        };
+
+        input.addEventListener('blur', () => {
+            if (!input.enterPressed) { // Avoid double save on Enter + Blur
+                // Slight delay allows Enter keydown to process first if needed
+                setTimeout(() => removeInput(true), 50);
+            }
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                input.enterPressed = true; // Flag to prevent blur event saving again
+                removeInput(true); // Save on Enter
+            } else if (e.key === 'Escape') {
+                input.enterPressed = false; // Ensure blur doesn't save if Escape is hit
+                removeInput(false); // Cancel on Escape
+            }
+        });
+    }
+
+
+    function makeLimitEditable(limitSpan) {
+        limitSpan.isEditing = true;
+        const modelName = limitSpan.dataset.modelName;
+        const currentLimit = getModelLimit(modelName);
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'edit-count-input';
+        input.value = currentLimit || '';
+        input.min = "1";
+        input.placeholder = '∞';
+        input.setAttribute('aria-label', `Daily limit for ${modelName} (empty for no limit)`);
+
+        limitSpan.style.display = 'none';
+        limitSpan.parentNode.insertBefore(input, limitSpan.nextSibling);
+        input.focus();
+        input.select();
+
+        let finished = false;
+        const finish = (saveValue) => {
+            if (finished) return;
+            finished = true;
+            if (saveValue && String(input.value) !== String(currentLimit || '')) {
+                setModelLimit(modelName, input.value);
+            }
+            refreshPanel(); // Re-render either way to drop the input
+        };
+
+        input.addEventListener('blur', () => finish(true));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        });
+    }
+
+
+    // --- Keyboard & Accessibility ---
+    let cellToRefocus = null; // { className, modelName } of a cell activated from the keyboard, refocused after re-render
+
+    // Count and limit cells are spans styled as numbers; this makes them focusable buttons for keyboard and screen readers
+    function makeCellControl(cell, label, enabled) {
+        cell.setAttribute('role', 'button');
+        cell.tabIndex = 0;
+        cell.setAttribute('aria-label', enabled ? `${label}. Press Enter to edit.` : label);
+        cell.setAttribute('aria-disabled', String(!enabled));
+    }
+
+    function restoreCellFocus(listElement) {
+        if (!cellToRefocus) return;
+        const { className, modelName } = cellToRefocus;
+        cellToRefocus = null;
+        const cell = Array.from(listElement.querySelectorAll(`.${className}`)).find(element => element.dataset.modelName === modelName);
+        if (cell) cell.focus();
+    }
+
+    function announce(message) {
+        let liveRegion = document.getElementById('tracker-live-region');
+        if (!liveRegion) {
+            liveRegion = document.createElement('div');
+            liveRegion.id = 'tracker-live-region';
+            liveRegion.className = 'tracker-sr-only';
+            liveRegion.setAttribute('aria-live', 'polite');
+            liveRegion.setAttribute('role', 'status');
+            document.body.appendChild(liveRegion);
+        }
+        // Clearing first makes screen readers repeat an identical message
+        liveRegion.textContent = '';
+        setTimeout(() => { liveRegion.textContent = message; }, 50);
+    }
+
+    function getPanelFocusables() {
+        return Array.from(uiPanel.querySelectorAll('button, input, select, summary, [tabindex="0"]'))
+            .filter(element => !element.disabled && element.offsetParent !== null);
+    }
+
+    // Keeps Tab cycling inside the open panel and closes it on Escape, handing focus back to the toggle
+    function handlePanelKeydown(event) {
+        if (event.key === 'Escape' && !event.target.matches('input, select, textarea')) {
+            event.preventDefault();
+            setUIVisibility(false);
+            toggleButton.focus();
+            return;
+        }
+        if (event.key !== 'Tab') return;
+        const focusables = getPanelFocusables();
+        if (focusables.length === 0) return;
+        const first = focusables[0];
+        const last = focusables[focusables.length - 1];
+        if (event.shiftKey && document.activeElement === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    function loadHotkeys() {
+        try {
+            const stored = JSON.parse(GM_getValue(STORAGE_KEY_HOTKEYS, '{}')) || {};
+            const hotkeys = { ...DEFAULT_HOTKEYS };
+            Object.keys(DEFAULT_HOTKEYS).forEach(action => {
+                if (typeof stored[action] === 'string') hotkeys[action] = stored[action]; // '' disables a shortcut
+            });
+            return hotkeys;
+        } catch (e) {
+            console.error("Gemini Tracker: Error parsing hotkeys, using defaults.", e);
+            return { ...DEFAULT_HOTKEYS };
+        }
+    }
+
+    // "Ctrl+Alt+Shift+Meta+Key"; letters and digits come from event.code so Alt/Option combos still read as the key
+    function formatHotkey(event) {
+        if (['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) return null;
+        let key = event.key;
+        if (/^Key[A-Z]$/.test(event.code)) key = event.code.slice(3);
+        else if (/^Digit\d$/.test(event.code)) key = event.code.slice(5);
+        else if (key.length === 1) key = key.toUpperCase();
+        return [event.ctrlKey && 'Ctrl', event.altKey && 'Alt', event.shiftKey && 'Shift', event.metaKey && 'Meta', key]
+            .filter(Boolean).join('+');
+    }
+
+    function showDateFromKeyboard(dateString) {
+        const today = getCurrentDateString();
+        const target = dateString > today ? today : dateString;
+        if (uiPanel.style.display !== 'block') setUIVisibility(true);
+        showDate(target);
+        const counts = getCountsForDate(target);
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        announce(`Showing ${target}${target === today ? ' (today)' : ''}: ${total} prompt${total === 1 ? '' : 's'}.`);
+    }
+
+    const HOTKEY_ACTIONS = {
+        togglePanel: () => {
+            toggleUIVisibility();
+            if (uiPanel.style.display === 'block') {
+                const first = getPanelFocusables()[0];
+                if (first) first.focus();
+            } else {
+                toggleButton.focus();
+            }
+        },
+        previousDay: () => showDateFromKeyboard(shiftDateString(selectedRange ? selectedRange.start : selectedDate, -1)),
+        nextDay: () => showDateFromKeyboard(shiftDateString(selectedRange ? selectedRange.end : selectedDate, 1)),
+        today: () => showDateFromKeyboard(getCurrentDateString()),
+    };
+
+    function attachHotkeyListener() {
+        document.addEventListener('keydown', (event) => {
+            if (event.defaultPrevented || event.isComposing || !uiPanel) return;
+            const combo = formatHotkey(event);
+            if (!combo) return;
+            // Plain keys (no Ctrl/Alt/Meta) would fire while typing, and editing keys belong to the field, so neither
+            // counts inside text fields
+            const isTyping = event.target instanceof Element && event.target.closest('input, textarea, select, [contenteditable="true"]');
+            if (isTyping && (EDITING_KEY_PATTERN.test(event.key) || (!event.ctrlKey && !event.altKey && !event.metaKey))) return;
+            const hotkeys = loadHotkeys();
+            const action = Object.keys(hotkeys).find(name => hotkeys[name] && hotkeys[name] === combo);
+            if (!action) return;
+            event.preventDefault();
+            event.stopPropagation();
+            HOTKEY_ACTIONS[action]();
+        }, true);
+    }
+
+    function promptForHotkeys() {
+        const hotkeys = loadHotkeys();
+        const content = document.createElement('div');
+        content.className = 'tracker-hotkey-editor';
+        const inputs = {};
+        Object.keys(DEFAULT_HOTKEYS).forEach(action => {
+            const row = document.createElement('label');
+            row.textContent = HOTKEY_LABELS[action];
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.readOnly = true;
+            input.value = hotkeys[action];
+            input.placeholder = 'Disabled';
+            input.setAttribute('aria-label', `${HOTKEY_LABELS[action]} shortcut. Press the new key combination, or Backspace to disable.`);
+            input.addEventListener('keydown', (event) => {
+                if (event.key === 'Tab' || event.key === 'Escape') return;
+                event.preventDefault();
+                event.stopPropagation();
+                if (event.key === 'Backspace' || event.key === 'Delete') {
+                    input.value = '';
+                    return;
+                }
+                const combo = formatHotkey(event);
+                if (combo) input.value = combo;
+            });
+            inputs[action] = input;
+            row.appendChild(input);
+            content.appendChild(row);
+        });
+
+        showTrackerDialog({
+            title: 'Keyboard shortcuts',
+            message: 'Click a field and press the new key combination. Backspace disables a shortcut.',
+            content,
+            buttons: [
+                { label: 'Cancel', value: 'cancel' },
+                { label: 'Defaults', value: 'defaults' },
+                { label: 'Save', value: 'save', primary: true },
+            ],
+        }, (choice) => {
+            if (choice === 'defaults') {
+                GM_setValue(STORAGE_KEY_HOTKEYS, JSON.stringify(DEFAULT_HOTKEYS));
+            } else if (choice === 'save') {
+                const updated = {};
+                Object.keys(inputs).forEach(action => { updated[action] = inputs[action].value; });
+                GM_setValue(STORAGE_KEY_HOTKEYS, JSON.stringify(updated));
+            } else {
+                return;
+            }
+            if (toggleButton) toggleButton.title = `Show/Hide Gemini Usage Stats (${loadHotkeys().togglePanel || 'no shortcut'})`;
+            console.log("Gemini Tracker: Keyboard shortcuts updated.", loadHotkeys());
+        });
+    }
+
+    // --- Panel Layout ---
+    // The panel floats wherever it was dropped (snapping to nearby edges), or docks as a full-height sidebar
+    // that pushes Gemini's content aside. Mini HUD mode swaps panel and toggle for a counter by the model switcher.
+    let dragClickPending = false;
+    let modelSwitcherObserver = null;
+    let miniHudTimer = null;
+
+    function loadLayout() {
+        const defaults = { dock: 'none', left: null, top: null, width: null, height: null, sidebarWidth: DEFAULT_SIDEBAR_WIDTH_PX, toggleLeft: null, toggleTop: null, mini: false };
+        try {
+            const stored = JSON.parse(GM_getValue(LAYOUT_KEY, '{}')) || {};
+            const layout = { ...defaults };
+            ['left', 'top', 'width', 'height', 'sidebarWidth', 'toggleLeft', 'toggleTop'].forEach(key => {
+                if (Number.isFinite(stored[key])) layout[key] = stored[key];
+            });
+            if (['none', 'left', 'right'].includes(stored.dock)) layout.dock = stored.dock;
+            layout.mini = stored.mini === true;
+            return layout;
+        } catch (e) {
+            console.error("Gemini Tracker: Error parsing panel layout, using defaults.", e);
+            return defaults;
+        }
+    }
+
+    function saveLayout(layout) {
+        GM_setValue(LAYOUT_KEY, JSON.stringify(layout));
+    }
+
+    function clamp(value, min, max) {
+        return Math.min(Math.max(value, min), Math.max(min, max));
+    }
+
+    // Snaps a dropped rectangle flush (with a small margin) to any viewport edge it landed near
+    function snapToEdges(left, top, width, height) {
+        const maxLeft = window.innerWidth - width - EDGE_MARGIN_PX;
+        const maxTop = window.innerHeight - height - EDGE_MARGIN_PX;
+        if (left < SNAP_DISTANCE_PX) left = EDGE_MARGIN_PX;
+        else if (maxLeft - left < SNAP_DISTANCE_PX) left = maxLeft;
+        if (top < SNAP_DISTANCE_PX) top = EDGE_MARGIN_PX;
+        else if (maxTop - top < SNAP_DISTANCE_PX) top = maxTop;
+        return { left: clamp(left, 0, window.innerWidth - width), top: clamp(top, 0, window.innerHeight - height) };
+    }
+
+    /**
+     * Moves an element with the pointer once it passes the drag threshold.
+     * @param {PointerEvent} startEvent The pointerdown that may start the drag.
+     * @param {HTMLElement} element
+     * @param {function(PointerEvent, DOMRect): void} onDrop Called after a real drag (not a click) ends.
+     * @param {function(PointerEvent): void} [onStart] Called on the first move past the threshold, before the
+     *     element moves; it may re-lay the element out, since the pointer offset is measured after it.
+     */
+    function startDrag(startEvent, element, onDrop, onStart = null) {
+        if (startEvent.button !== 0) return;
+        let rect = element.getBoundingClientRect();
+        let offsetX = startEvent.clientX - rect.left;
+        let offsetY = startEvent.clientY - rect.top;
+        let dragging = false;
+
+        const onMove = (event) => {
+            if (!dragging && Math.hypot(event.clientX - startEvent.clientX, event.clientY - startEvent.clientY) < DRAG_THRESHOLD_PX) return;
+            if (!dragging && onStart) {
+                onStart(event);
+                rect = element.getBoundingClientRect();
+                offsetX = clamp(event.clientX - rect.left, 0, rect.width);
+                offsetY = clamp(event.clientY - rect.top, 0, rect.height);
+            }
+            dragging = true;
+            element.classList.add('tracker-dragging');
+            element.style.left = `${clamp(event.clientX - offsetX, 0, window.innerWidth - rect.width)}px`;
+            element.style.top = `${clamp(event.clientY - offsetY, 0, window.innerHeight - rect.height)}px`;
+            element.style.right = 'auto';
+            element.style.bottom = 'auto';
+        };
+        const onUp = (event) => {
+            document.removeEventListener('pointermove', onMove);
+            document.removeEventListener('pointerup', onUp);
+            if (!dragging) return;
+            element.classList.remove('tracker-dragging');
+            onDrop(event, element.getBoundingClientRect());
+        };
+        document.addEventListener('pointermove', onMove);
+        document.addEventListener('pointerup', onUp);
+    }
+
+    // True (once) when the click that follows pointerup ended a toggle drag rather than a real click
+    function consumeDragClick() {
+        const wasDrag = dragClickPending;
+        dragClickPending = false;
+        return wasDrag;
+    }
+
+    function applyLayout() {
+        if (!uiPanel || !toggleButton) return;
+        const layout = loadLayout();
+        const docked = layout.dock !== 'none';
+
+        uiPanel.classList.toggle('docked-left', layout.dock === 'left');
+        uiPanel.classList.toggle('docked-right', layout.dock === 'right');
+        document.body.classList.toggle('gemini-tracker-docked-left', layout.dock === 'left');
+        document.body.classList.toggle('gemini-tracker-docked-right', layout.dock === 'right');
+        document.body.classList.toggle('gemini-tracker-mini', layout.mini);
+
+        if (docked) {
+            const sidebarWidth = clamp(layout.sidebarWidth, MIN_PANEL_WIDTH_PX, window.innerWidth / 2);
+            document.documentElement.style.setProperty('--gemini-tracker-sidebar-width', `${sidebarWidth}px`);
+            Object.assign(uiPanel.style, { left: '', top: '', right: '', bottom: '', width: `${sidebarWidth}px`, height: '' });
+        } else {
+            const width = layout.width ? clamp(layout.width, MIN_PANEL_WIDTH_PX, window.innerWidth - EDGE_MARGIN_PX * 2) : null;
+            const height = layout.height ? Math.min(layout.height, window.innerHeight - EDGE_MARGIN_PX * 2) : null;
+            Object.assign(uiPanel.style, { width: width ? `${width}px` : '', height: height ? `${height}px` : '', maxHeight: height ? 'none' : '' });
+            if (layout.left !== null && layout.top !== null) {
+                // Keep a panel placed on a larger window reachable after the window shrinks
+                Object.assign(uiPanel.style, {
+                    left: `${clamp(layout.left, 0, window.innerWidth - (width || uiPanel.offsetWidth || MIN_PANEL_WIDTH_PX))}px`,
+                    top: `${clamp(layout.top, 0, window.innerHeight - EDGE_MARGIN_PX * 6)}px`,
+                    right: 'auto',
+                    bottom: 'auto',
+                });
+            } else {
+                Object.assign(uiPanel.style, { left: '', top: '', right: '', bottom: '' });
+            }
+        }
+
+        if (layout.toggleLeft !== null && layout.toggleTop !== null) {
+            Object.assign(toggleButton.style, {
+                left: `${clamp(layout.toggleLeft, 0, window.innerWidth - toggleButton.offsetWidth)}px`,
+                top: `${clamp(layout.toggleTop, 0, window.innerHeight - toggleButton.offsetHeight)}px`,
+                right: 'auto',
+                bottom: 'auto',
+            });
+        }
+
+        const dockButton = uiPanel.querySelector('#tracker-dock-btn');
+        dockButton.title = docked ? 'Undock into a floating panel' : 'Dock as a sidebar';
+        dockButton.setAttribute('aria-label', dockButton.title);
+        dockButton.setAttribute('aria-pressed', String(docked));
+        updateMiniHud();
+    }
+
+    function toggleSidebarDock() {
+        const layout = loadLayout();
+        if (layout.dock !== 'none') {
+            layout.dock = 'none';
+        } else {
+            // Dock on whichever side the floating panel is closer to
+            const rect = uiPanel.getBoundingClientRect();
+            layout.dock = rect.left + rect.width / 2 < window.innerWidth / 2 ? 'left' : 'right';
+        }
+        saveLayout(layout);
+        applyLayout();
+    }
+
+    function initPanelLayout() {
+        const header = uiPanel.querySelector('.tracker-header');
+        header.addEventListener('pointerdown', (event) => {
+            if (event.target.closest('button, input, select')) return;
+            // Dragging a docked sidebar pulls it back out as a floating panel under the pointer; a plain click
+            // or text selection on its header leaves it docked
+            const undock = (moveEvent) => {
+                const layout = loadLayout();
+                if (layout.dock === 'none') return;
+                layout.dock = 'none';
+                layout.left = clamp(moveEvent.clientX - (layout.width || MIN_PANEL_WIDTH_PX) / 2, 0, window.innerWidth);
+                layout.top = Math.max(0, moveEvent.clientY - 20);
+                saveLayout(layout);
+                applyLayout();
+            };
+            startDrag(event, uiPanel, (dropEvent, rect) => {
+                const updated = loadLayout();
+                // Letting go at the very edge of the window docks the panel as a sidebar on that side
+                if (dropEvent.clientX <= 2 || dropEvent.clientX >= window.innerWidth - 3) {
+                    updated.dock = dropEvent.clientX <= 2 ? 'left' : 'right';
+                } else {
+                    Object.assign(updated, snapToEdges(rect.left, rect.top, rect.width, rect.height));
+                }
+                saveLayout(updated);
+                applyLayout();
+            }, undock);
+        });
+
+        toggleButton.addEventListener('pointerdown', (event) => {
+            startDrag(event, toggleButton, (dropEvent, rect) => {
+                dragClickPending = true;
+                const { left, top } = snapToEdges(rect.left, rect.top, rect.width, rect.height);
+                saveLayout({ ...loadLayout(), toggleLeft: left, toggleTop: top });
+                applyLayout();
+            });
+        });
+
+        // Sidebars resize from their inner edge; the floating panel uses the native resize corner
+        const grip = document.createElement('div');
+        grip.className = 'tracker-sidebar-grip';
+        grip.setAttribute('aria-hidden', 'true');
+        grip.addEventListener('pointerdown', (event) => {
+            event.preventDefault();
+            const onMove = (moveEvent) => {
+                const layout = loadLayout();
+                const width = layout.dock === 'left' ? moveEvent.clientX : window.innerWidth - moveEvent.clientX;
+                layout.sidebarWidth = clamp(width, MIN_PANEL_WIDTH_PX, window.innerWidth / 2);
+                saveLayout(layout);
+                applyLayout();
+            };
+            const onUp = () => {
+                document.removeEventListener('pointermove', onMove);
+                document.removeEventListener('pointerup', onUp);
+            };
+            document.addEventListener('pointermove', onMove);
+            document.addEventListener('pointerup', onUp);
+        });
+        uiPanel.appendChild(grip);
+
+        if (typeof ResizeObserver === 'function') {
+            let saveTimer = null;
+            new ResizeObserver(() => {
+                const layout = loadLayout();
+                if (layout.dock !== 'none' || uiPanel.style.display !== 'block') return;
+                // The resize corner writes an inline size; until then the panel grows with its content, which
+                // isn't worth remembering (and would freeze its height)
+                if (!uiPanel.style.width && !uiPanel.style.height) return;
+                clearTimeout(saveTimer);
+                saveTimer = setTimeout(() => {
+                    const rect = uiPanel.getBoundingClientRect();
+                    if (rect.width === layout.width && rect.height === layout.height) return;
+                    saveLayout({ ...loadLayout(), width: Math.round(rect.width), height: Math.round(rect.height) });
+                }, 300);
+            }).observe(uiPanel);
+        }
+
+        window.addEventListener('resize', applyLayout);
+        applyLayout();
+    }
+
+    function setMiniMode(enabled) {
+        saveLayout({ ...loadLayout(), mini: enabled });
+        if (enabled) {
+            setUIVisibility(false);
+            applyLayout();
+            const hud = document.getElementById('tracker-mini-hud');
+            if (hud) hud.focus();
+        } else {
+            applyLayout();
+            setUIVisibility(true);
+            refreshPanel();
+        }
+    }
+
+    // Today's count (and limit) for the current model, shown next to Gemini's model switcher in mini HUD mode
+    function updateMiniHud() {
+        let hud = document.getElementById('tracker-mini-hud');
+        if (!loadLayout().mini) {
+            if (hud) hud.remove();
+            if (modelSwitcherObserver) modelSwitcherObserver.disconnect();
+            modelSwitcherObserver = null;
+            clearTimeout(miniHudTimer);
+            return;
+        }
+        if (!hud) {
+            hud = document.createElement('button');
+            hud.type = 'button';
+            hud.id = 'tracker-mini-hud';
+            hud.title = 'Open the usage panel';
+            hud.addEventListener('click', () => setMiniMode(false));
+        }
+
+        const switcher = document.querySelector('bard-mode-switcher');
+        if (switcher && hud.previousElementSibling !== switcher) {
+            switcher.insertAdjacentElement('afterend', hud);
+        } else if (!switcher && !hud.isConnected) {
+            document.body.appendChild(hud);
+        }
+        hud.classList.toggle('floating', !switcher);
+        if (switcher && !modelSwitcherObserver) {
+            // Switching models changes the switcher's label; follow it so the HUD shows the new model's count
+            modelSwitcherObserver = new MutationObserver(() => {
+                clearTimeout(miniHudTimer);
+                miniHudTimer = setTimeout(updateMiniHud, MINI_HUD_UPDATE_DELAY_MS);
+            });
+            modelSwitcherObserver.observe(switcher, { childList: true, subtree: true, characterData: true });
+        }
+
+        const modelName = detectModel({ quiet: true }).modelName || UNKNOWN_MODEL;
+        const count = getCountsForDate(getCurrentDateString())[modelName] || 0;
+        const limitSettings = loadLimitSettings();
+        const limit = limitSettings.limits[modelName] || null;
+        const text = `${modelName} · ${count}${limit ? ` / ${limit}` : ''}`;
+        if (hud.textContent !== text) hud.textContent = text;
+        const status = getQuotaStatus(count, limit, limitSettings.thresholds);
+        hud.classList.toggle('quota-warning', status === 'warning');
+        hud.classList.toggle('quota-danger', status === 'danger');
+        hud.setAttribute('aria-label', `${modelName}: ${count} uses today${limit ? ` of ${limit}` : ''}. Open the usage panel.`);
+    }
+
+    // --- Theme ---
+    // The stylesheet below only uses --gt-* variables for colours; applyTheme picks the set via
+    // data-tracker-theme on <html> (so the calendar, dialogs and toasts outside the panel follow too).
+    let flatpickrThemeStyle = null;
+    let appliedTheme = null;
+
+    // Gemini marks its theme with a body class; before that is set, fall back to the OS preference
+    function detectGeminiTheme() {
+        if (document.body.classList.contains('dark-theme')) return 'dark';
+        if (document.body.classList.contains('light-theme')) return 'light';
+        return window.matchMedia && window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark';
+    }
+
+    function applyTheme() {
+        const preference = getSetting('theme');
+        const theme = preference === 'auto' ? detectGeminiTheme() : preference;
+        if (theme === appliedTheme) return;
+        appliedTheme = theme;
+        document.documentElement.setAttribute('data-tracker-theme', theme);
+        if (flatpickrThemeStyle) {
+            flatpickrThemeStyle.textContent = GM_getResourceText(theme === 'light' ? 'flatpickrLightTheme' : 'flatpickrDarkTheme');
+        }
+        console.log(`Gemini Tracker: Applied ${theme} theme (${preference}).`);
+    }
+
+    function watchThemeChanges() {
+        new MutationObserver(applyTheme).observe(document.body, { attributes: true, attributeFilter: ['class'] });
+        if (window.matchMedia) {
+            const query = window.matchMedia('(prefers-color-scheme: light)');
+            if (query.addEventListener) query.addEventListener('change', applyTheme);
+            else if (query.addListener) query.addListener(applyTheme); // Older Safari
+        }
+    }
+
+    // --- Styling ---
+    GM_addStyle(`
+        /* --- Theme Variables (dark by default, light via data-tracker-theme) --- */
+        :root {
+            --gt-surface: rgba(40, 40, 45, 0.95); --gt-surface-strong: rgba(40, 40, 45, 0.98); --gt-surface-raised: rgba(50, 50, 55, 0.98);
+            --gt-text: #e8eaed; --gt-text-muted: #bdc1c6; --gt-text-subtle: #9aa0a6;
+            --gt-fg-rgb: 255, 255, 255; /* Translucent fills, borders and dividers are this colour at low alpha */
+            --gt-accent: #8ab4f8; --gt-accent-hover: #aecbfa; --gt-accent-rgb: 138, 180, 248; --gt-on-accent: #202124;
+            --gt-option-bg: #303134; --gt-tooltip-bg: rgba(20, 20, 24, 0.95); --gt-tooltip-text: #e8eaed;
+            --gt-success: #81c995; --gt-warning-text: #fdd663; --gt-danger-text: #f28b82;
+            --gt-color-scheme: dark;
+        }
+        :root[data-tracker-theme="light"] {
+            --gt-surface: rgba(255, 255, 255, 0.97); --gt-surface-strong: rgba(255, 255, 255, 0.99); --gt-surface-raised: rgba(248, 249, 250, 0.99);
+            --gt-text: #202124; --gt-text-muted: #3c4043; --gt-text-subtle: #5f6368;
+            --gt-fg-rgb: 32, 33, 36;
+            --gt-accent: #1a73e8; --gt-accent-hover: #1765cc; --gt-accent-rgb: 26, 115, 232; --gt-on-accent: #ffffff;
+            --gt-option-bg: #ffffff; --gt-tooltip-bg: rgba(60, 64, 67, 0.95); --gt-tooltip-text: #f1f3f4;
+            --gt-success: #188038; --gt-warning-text: #b06000; --gt-danger-text: #c5221f;
+            --gt-color-scheme: light;
+        }
+
+        /* --- Base Styles (Panel, Toggle, Header, List, Reset) --- */
+        #gemini-tracker-toggle { /* Styles unchanged */
+            position: fixed; bottom: 20px; right: 20px; width: 50px; height: 50px;
             background-color: #1a73e8; color: white; border-radius: 50%; display: flex;
             justify-content: center; align-items: center; cursor: pointer;
             box-shadow: 0 4px 8px rgba(0, 0, 0, 0.2); z-index: 9998;
             transition: background-color 0.3s ease, transform 0.3s ease;
         }
         #gemini-tracker-toggle:hover { background-color: #1765cc; transform: scale(1.1); }
+        #gemini-tracker-toggle { border: none; padding: 0; }
+        #gemini-tracker-toggle:focus-visible, #gemini-tracker-panel :focus-visible { outline: 2px solid var(--gt-accent); outline-offset: 2px; }
+        .tracker-sr-only {
+            position: absolute; width: 1px; height: 1px; padding: 0; margin: -1px; overflow: hidden;
+            clip: rect(0, 0, 0, 0); white-space: nowrap; border: 0;
+        }
+        .tracker-hotkey-editor { display: flex; flex-direction: column; gap: 8px; margin-bottom: 16px; font-size: 0.9em; }
+        .tracker-hotkey-editor label { display: flex; justify-content: space-between; align-items: center; gap: 12px; color: var(--gt-text-muted); }
+        .tracker-hotkey-editor input {
+            width: 170px; background-color: rgba(var(--gt-fg-rgb), 0.1); border: 1px solid rgba(var(--gt-fg-rgb), 0.3);
+            color: var(--gt-text); border-radius: 4px; padding: 3px 6px; font-family: inherit; text-align: center; cursor: pointer;
+        }
+        #gemini-tracker-toggle.quota-warning { background-color: #e37400; }
+        #gemini-tracker-toggle.quota-danger { background-color: #d93025; }
         #gemini-tracker-panel { /* Adjust width slightly for date picker */
             position: fixed; bottom: 80px; right: 20px; width: 320px; max-height: 450px; /* Increased width/height */
-            overflow-y: auto; background-color: rgba(40, 40, 45, 0.95); color: #e8eaed;
+            overflow-y: auto; background-color: var(--gt-surface); color: var(--gt-text);
             border-radius: 12px; box-shadow: 0 6px 12px rgba(0, 0, 0, 0.3); z-index: 9999;
             padding: 15px; display: none; font-family: 'Google Sans', sans-serif;
-            backdrop-filter: blur(5px); border: 1px solid rgba(255, 255, 255, 0.1);
+            backdrop-filter: blur(5px); border: 1px solid rgba(var(--gt-fg-rgb), 0.1);
         }
         #gemini-tracker-panel::-webkit-scrollbar { width: 8px; }
-        #gemini-tracker-panel::-webkit-scrollbar-track { background: rgba(255, 255, 255, 0.05); border-radius: 4px; }
-        #gemini-tracker-panel::-webkit-scrollbar-thumb { background-color: rgba(255, 255, 255, 0.3); border-radius: 4px; border: 2px solid transparent; background-clip: content-box; }
-        #gemini-tracker-panel::-webkit-scrollbar-thumb:hover { background-color: rgba(255, 255, 255, 0.5); }
+        #gemini-tracker-panel::-webkit-scrollbar-track { background: rgba(var(--gt-fg-rgb), 0.05); border-radius: 4px; }
+        #gemini-tracker-panel::-webkit-scrollbar-thumb { background-color: rgba(var(--gt-fg-rgb), 0.3); border-radius: 4px; border: 2px solid transparent; background-clip: content-box; }
+        #gemini-tracker-panel::-webkit-scrollbar-thumb:hover { background-color: rgba(var(--gt-fg-rgb), 0.5); }
         .tracker-header { /* Align items for date picker */
             display: flex; justify-content: space-between; align-items: center;
             margin-bottom: 10px; padding-bottom: 10px;
-            border-bottom: 1px solid rgba(255, 255, 255, 0.15);
+            border-bottom: 1px solid rgba(var(--gt-fg-rgb), 0.15);
             gap: 10px; /* Add some space between header items */
         }
-        .tracker-header h3 { margin: 0; font-size: 1.1em; font-weight: 500; color: #bdc1c6; flex-shrink: 0; }
+        .tracker-header h3 { margin: 0; font-size: 1.1em; font-weight: 500; color: var(--gt-text-muted); flex-shrink: 0; }
 
          /* --- Date Picker Styles --- */
          .tracker-date-selector-container {
@@ -588,9 +4321,9 @@
              text-align: center; /* Center the input */
          }
         #tracker-date-selector { /* Style the flatpickr input */
-            background-color: rgba(255, 255, 255, 0.1);
-            border: 1px solid rgba(255, 255, 255, 0.3);
-            color: #e8eaed;
+            background-color: rgba(var(--gt-fg-rgb), 0.1);
+            border: 1px solid rgba(var(--gt-fg-rgb), 0.3);
+            color: var(--gt-text);
             border-radius: 4px;
             padding: 4px 8px;
             font-size: 0.9em;
@@ -601,41 +4334,78 @@
          }
          #tracker-date-selector:focus {
              outline: none;
-             border-color: #8ab4f8;
-             background-color: rgba(255, 255, 255, 0.15);
+             border-color: var(--gt-accent);
+             background-color: rgba(var(--gt-fg-rgb), 0.15);
          }
-         /* Flatpickr calendar theming is handled by the dark theme CSS */
+         /* Flatpickr calendar theming comes from its light/dark theme CSS, swapped by applyTheme */
+
 
+        .tracker-range-controls { display: flex; justify-content: center; margin-bottom: 6px; }
+        #tracker-range-preset {
+            background-color: rgba(var(--gt-fg-rgb), 0.1); border: 1px solid rgba(var(--gt-fg-rgb), 0.3);
+            color: var(--gt-text); border-radius: 4px; padding: 3px 6px; font-size: 0.85em; font-family: inherit; cursor: pointer;
+        }
+        #tracker-range-preset option { background-color: var(--gt-option-bg); color: var(--gt-text); }
+        #tracker-list li.tracker-range-summary { justify-content: center; font-size: 0.85em; color: var(--gt-text-muted); min-height: 0; }
+        #tracker-list li:has(.model-range-stats) { flex-wrap: wrap; }
+        .model-range-stats { flex-basis: 100%; font-size: 0.8em; color: var(--gt-text-subtle); margin-top: 2px; }
+        #tracker-reset-btn:disabled { opacity: 0.4; cursor: not-allowed; }
+        .tracker-zone-label { font-size: 0.8em; color: var(--gt-text-subtle); text-align: center; margin-top: -4px; }
+        .tracker-zone-label.older-setting { color: var(--gt-warning-text); }
 
         #tracker-close-btn { /* Styles unchanged */
-             background: none; border: none; color: #bdc1c6; font-size: 24px; line-height: 1;
+             background: none; border: none; color: var(--gt-text-muted); font-size: 24px; line-height: 1;
              cursor: pointer; padding: 0 5px; opacity: 0.7; transition: opacity 0.2s ease;
              flex-shrink: 0; /* Prevent shrinking */
         }
-        #tracker-close-btn:hover { color: #e8eaed; opacity: 1; }
+        #tracker-close-btn:hover { color: var(--gt-text); opacity: 1; }
         #tracker-list { list-style: none; padding: 0; margin: 10px 0 0 0; } /* Add margin top */
         #tracker-list li { /* Styles unchanged */
              display: flex; justify-content: space-between; align-items: center; padding: 8px 5px;
-             border-bottom: 1px solid rgba(255, 255, 255, 0.08); font-size: 0.95em; min-height: 28px;
+             border-bottom: 1px solid rgba(var(--gt-fg-rgb), 0.08); font-size: 0.95em; min-height: 28px;
         }
         #tracker-list li:last-child { border-bottom: none; }
+        #tracker-list li:has(.model-quota-bar), #tracker-list li:has(.model-limit-hit), #tracker-list li:has(.model-prompt-details) { flex-wrap: wrap; }
+        .model-prompt-details { flex-basis: 100%; margin-top: 2px; font-size: 0.8em; color: var(--gt-text-subtle); }
+        #tracker-list li.quota-warning { background-color: rgba(249, 171, 0, 0.12); }
+        #tracker-list li.quota-danger { background-color: rgba(217, 48, 37, 0.18); }
+        .model-usage { display: flex; align-items: center; flex-shrink: 0; }
+        .model-limit {
+            margin-left: 4px; min-width: 36px; color: var(--gt-text-subtle); font-size: 0.85em;
+            cursor: pointer; padding: 2px 4px; border-radius: 4px;
+        }
+        .model-limit:hover { background-color: rgba(var(--gt-accent-rgb), 0.2); }
+        .model-limit-hit { flex-basis: 100%; margin-top: 4px; font-size: 0.8em; color: var(--gt-danger-text); }
+        .model-outcomes {
+            flex-shrink: 0; margin-right: 6px; padding: 1px 6px; border-radius: 8px; font-size: 0.75em;
+            color: var(--gt-danger-text); background-color: rgba(217, 48, 37, 0.15); cursor: help;
+        }
+        .model-quota-bar {
+            flex-basis: 100%; height: 4px; margin-top: 6px; border-radius: 2px;
+            background-color: rgba(var(--gt-fg-rgb), 0.1); overflow: hidden;
+        }
+        .model-quota-fill { height: 100%; background-color: var(--gt-accent); transition: width 0.3s ease; }
+        li.quota-warning .model-quota-fill { background-color: #f9ab00; }
+        li.quota-danger .model-quota-fill { background-color: #d93025; }
+        li.quota-warning .model-count { color: var(--gt-warning-text); }
+        li.quota-danger .model-count { color: var(--gt-danger-text); }
         .model-name { /* Styles unchanged */
              flex-grow: 1; margin-right: 10px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;
         }
         .model-count { /* Base style - no cursor/hover by default */
-            font-weight: 600; min-width: 40px; text-align: right; color: #8ab4f8;
+            font-weight: 600; min-width: 40px; text-align: right; color: var(--gt-accent);
              padding: 2px 4px; border-radius: 4px; transition: background-color 0.2s ease;
         }
         .edit-count-input { /* Styles unchanged */
             font-family: 'Google Sans', sans-serif; font-size: 0.9em; font-weight: 600;
-            color: #e8eaed; background-color: rgba(255, 255, 255, 0.1);
-            border: 1px solid rgba(255, 255, 255, 0.3); border-radius: 4px; width: 50px;
+            color: var(--gt-text); background-color: rgba(var(--gt-fg-rgb), 0.1);
+            border: 1px solid rgba(var(--gt-fg-rgb), 0.3); border-radius: 4px; width: 50px;
             text-align: right; padding: 2px 4px; margin-left: auto; box-sizing: border-box;
             -moz-appearance: textfield;
         }
         .edit-count-input::-webkit-outer-spin-button,
         .edit-count-input::-webkit-inner-spin-button { -webkit-appearance: none; margin: 0; }
-        .edit-count-input:focus { outline: none; border-color: #8ab4f8; background-color: rgba(255, 255, 255, 0.15); }
+        .edit-count-input:focus { outline: none; border-color: var(--gt-accent); background-color: rgba(var(--gt-fg-rgb), 0.15); }
          #tracker-reset-btn { /* Styles unchanged, but functionality changed */
              display: block; width: 100%; padding: 8px 12px; background-color: rgba(217, 48, 37, 0.8);
              color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 0.9em;
@@ -643,10 +4413,151 @@
          }
          #tracker-reset-btn:hover { background-color: rgba(217, 48, 37, 1); }
 
+        /* --- Charts --- */
+        .model-sparkline { flex-shrink: 0; margin-right: 8px; opacity: 0.85; }
+        .tracker-chart-section { margin-top: 12px; }
+        .tracker-chart-header {
+            display: flex; justify-content: space-between; align-items: center;
+            font-size: 0.85em; color: var(--gt-text-muted); margin-bottom: 6px;
+        }
+        #tracker-chart-days {
+            background-color: rgba(var(--gt-fg-rgb), 0.1); border: 1px solid rgba(var(--gt-fg-rgb), 0.3);
+            color: var(--gt-text); border-radius: 4px; padding: 1px 4px; font-size: 0.9em; font-family: inherit;
+        }
+        #tracker-chart-days option { background-color: var(--gt-option-bg); color: var(--gt-text); }
+        #tracker-chart { position: relative; }
+        #tracker-chart svg { display: block; }
+        .tracker-chart-hit { fill: transparent; }
+        .tracker-chart-bar { cursor: pointer; }
+        .tracker-chart-bar:hover .tracker-chart-hit { fill: rgba(var(--gt-fg-rgb), 0.06); }
+        .tracker-chart-bar.selected .tracker-chart-hit { fill: rgba(var(--gt-accent-rgb), 0.15); }
+        .tracker-chart-tooltip {
+            display: none; position: absolute; bottom: 100%; transform: translateX(-50%);
+            background-color: var(--gt-tooltip-bg); color: var(--gt-tooltip-text); border-radius: 6px; padding: 4px 8px;
+            font-size: 0.8em; white-space: pre; pointer-events: none; z-index: 1;
+        }
+        #tracker-chart-legend { display: flex; flex-wrap: wrap; gap: 4px 10px; margin-top: 6px; font-size: 0.75em; color: var(--gt-text-muted); }
+        .tracker-chart-swatch { display: inline-block; width: 8px; height: 8px; border-radius: 2px; margin-right: 4px; }
+
+        /* --- Collapsible Sections --- */
+        .tracker-section { margin-top: 10px; border-top: 1px solid rgba(var(--gt-fg-rgb), 0.1); padding-top: 6px; }
+        .tracker-section > summary { cursor: pointer; font-size: 0.9em; color: var(--gt-text-muted); padding: 4px 0; user-select: none; }
+        .tracker-section > summary:hover { color: var(--gt-text); }
+        .tracker-section-body { padding: 4px 0; font-size: 0.85em; }
+        .tracker-section-subheading { margin: 10px 0 4px 0; color: var(--gt-text-subtle); font-size: 0.9em; }
+        .tracker-small-btn, .tracker-small-select {
+            padding: 2px 6px; margin-left: 4px; background-color: rgba(var(--gt-fg-rgb), 0.08); color: var(--gt-text);
+            border: 1px solid rgba(var(--gt-fg-rgb), 0.2); border-radius: 4px; cursor: pointer;
+            font-size: 0.85em; font-family: inherit; flex-shrink: 0;
+        }
+        .tracker-small-btn:hover { background-color: rgba(var(--gt-fg-rgb), 0.16); }
+        .tracker-small-select option { background-color: var(--gt-option-bg); color: var(--gt-text); }
+
+        /* --- Model Registry --- */
+        .tracker-registry-list { list-style: none; padding: 0; margin: 0; }
+        .tracker-registry-list li {
+            display: flex; align-items: center; padding: 4px 0;
+            border-bottom: 1px solid rgba(var(--gt-fg-rgb), 0.06);
+        }
+        .tracker-registry-list li.hidden-model .tracker-registry-name { opacity: 0.5; text-decoration: line-through; }
+        .tracker-registry-info { flex-grow: 1; min-width: 0; display: flex; flex-direction: column; }
+        .tracker-registry-name { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+        .tracker-registry-aliases { font-size: 0.85em; color: var(--gt-text-subtle); white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+        .tracker-registry-add { display: flex; margin-top: 6px; }
+        .tracker-registry-add input {
+            flex-grow: 1; background-color: rgba(var(--gt-fg-rgb), 0.1); border: 1px solid rgba(var(--gt-fg-rgb), 0.3);
+            color: var(--gt-text); border-radius: 4px; padding: 2px 6px; font-family: inherit; font-size: 0.95em;
+        }
+
+        /* --- Detection Diagnostics --- */
+        .tracker-diagnostics > div { display: flex; justify-content: space-between; gap: 10px; padding: 2px 0; }
+        .tracker-diagnostics > div > span:last-child {
+            color: var(--gt-text); white-space: nowrap; overflow: hidden; text-overflow: ellipsis; max-width: 60%;
+        }
+        .tracker-section-actions { display: flex; gap: 4px; margin-top: 6px; }
+        .tracker-section-actions .tracker-small-btn { margin-left: 0; }
+        .tracker-detection-test { margin-top: 4px; color: var(--gt-text-subtle); word-break: break-word; }
+
+        /* --- Developer Mode Editing --- */
+        #gemini-tracker-panel .tracker-dev-only { display: none; }
+        #gemini-tracker-panel.dev-mode-active .tracker-data-actions.tracker-dev-only { display: flex; margin-top: 6px; }
+        #gemini-tracker-panel.dev-mode-active .tracker-row-delete { display: inline-block; }
+        #gemini-tracker-panel.dev-mode-active #tracker-list li.tracker-add-entry { display: flex; gap: 6px; }
+        .tracker-row-delete { margin-left: 4px; color: var(--gt-danger-text); }
+        .tracker-add-entry input[type="text"] {
+            flex-grow: 1; min-width: 0; background-color: rgba(var(--gt-fg-rgb), 0.1); border: 1px solid rgba(var(--gt-fg-rgb), 0.3);
+            color: var(--gt-text); border-radius: 4px; padding: 2px 6px; font-family: inherit; font-size: 0.9em;
+        }
+        .tracker-add-entry .edit-count-input { margin-left: 0; }
+        .tracker-bulk-editor { display: grid; grid-template-columns: 1fr 1fr; gap: 8px; margin-bottom: 12px; font-size: 0.9em; }
+        .tracker-bulk-editor label { display: flex; flex-direction: column; gap: 2px; color: var(--gt-text-muted); }
+        .tracker-bulk-editor select, .tracker-bulk-editor input {
+            background-color: rgba(var(--gt-fg-rgb), 0.1); border: 1px solid rgba(var(--gt-fg-rgb), 0.3);
+            color: var(--gt-text); border-radius: 4px; padding: 3px 6px; font-family: inherit; color-scheme: var(--gt-color-scheme);
+        }
+        .tracker-bulk-preview { grid-column: 1 / -1; color: var(--gt-text-subtle); }
+        .tracker-bulk-preview .tracker-import-preview { margin-bottom: 0; }
+
+        /* --- Change History & Toast --- */
+        #tracker-history-section { display: none; }
+        #gemini-tracker-panel.dev-mode-active #tracker-history-section { display: block; }
+        .tracker-history-list { max-height: 200px; overflow-y: auto; }
+        .tracker-alert-list input[type="checkbox"] { margin: 0 8px 0 0; flex-shrink: 0; }
+        .tracker-alert-list li.disabled .tracker-registry-name { opacity: 0.5; }
+        .tracker-breakdown-list li.current { background-color: rgba(var(--gt-accent-rgb), 0.1); }
+        .tracker-breakdown-list a { color: var(--gt-accent); text-decoration: none; }
+        .tracker-breakdown-list a:hover { text-decoration: underline; }
+        .tracker-breakdown-count { flex-shrink: 0; margin-left: 8px; font-weight: 600; color: var(--gt-accent); }
+        .tracker-history-list li.reverted .tracker-registry-info { opacity: 0.5; }
+        #tracker-toast {
+            position: fixed; bottom: 80px; right: 20px; z-index: 10001; display: flex; align-items: center; gap: 12px;
+            max-width: 360px; padding: 10px 14px; border-radius: 8px; font-family: 'Google Sans', sans-serif;
+            font-size: 0.9em; color: var(--gt-text); background-color: var(--gt-surface);
+            border: 1px solid rgba(var(--gt-fg-rgb), 0.15); box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+        }
+        #tracker-toast button {
+            flex-shrink: 0; background: none; border: none; color: var(--gt-accent); font-weight: 600;
+            cursor: pointer; font-family: inherit; font-size: inherit; padding: 2px 4px;
+        }
+        #tracker-toast button:hover { text-decoration: underline; }
+
+        /* --- Team Sync --- */
+        #tracker-list li.tracker-team-header { font-size: 0.75em; color: var(--gt-text-subtle); min-height: 0; padding: 2px 5px; }
+        .tracker-team-header .model-name { margin-right: 0; }
+        .model-team { flex-shrink: 0; min-width: 40px; margin-right: 6px; text-align: right; color: var(--gt-success); font-weight: 600; }
+        .tracker-team-header .model-team { color: inherit; font-weight: normal; }
+        .tracker-team-header .model-usage { min-width: 80px; justify-content: flex-end; }
+        .tracker-sync-field { display: flex; flex-direction: column; margin-top: 6px; gap: 2px; color: var(--gt-text-subtle); }
+        .tracker-sync-field input {
+            background-color: rgba(var(--gt-fg-rgb), 0.1); border: 1px solid rgba(var(--gt-fg-rgb), 0.3);
+            color: var(--gt-text); border-radius: 4px; padding: 2px 6px; font-family: inherit; font-size: 0.95em;
+        }
+        .tracker-registry-list input[type="checkbox"] { margin: 0 6px 0 0; flex-shrink: 0; }
+        #gemini-tracker-toggle.detection-warning::after {
+            content: "!"; position: absolute; top: -2px; right: -2px; width: 16px; height: 16px; border-radius: 50%;
+            background-color: #f9ab00; color: #202124; font-size: 11px; font-weight: 700; /* Dark on amber in both themes */
+            display: flex; align-items: center; justify-content: center;
+        }
+
+        /* --- Export / Import Buttons --- */
+        .tracker-data-actions { display: flex; gap: 6px; }
+        .tracker-data-actions button {
+            flex: 1; padding: 6px 8px; background-color: rgba(var(--gt-fg-rgb), 0.08); color: var(--gt-text);
+            border: 1px solid rgba(var(--gt-fg-rgb), 0.2); border-radius: 6px; cursor: pointer;
+            font-size: 0.85em; font-family: inherit; transition: background-color 0.2s ease;
+        }
+        .tracker-data-actions button:hover { background-color: rgba(var(--gt-fg-rgb), 0.16); }
+        .tracker-import-preview { max-height: 220px; overflow-y: auto; margin-bottom: 16px; font-size: 0.85em; }
+        .tracker-import-preview table { width: 100%; border-collapse: collapse; }
+        .tracker-import-preview th, .tracker-import-preview td {
+            text-align: left; padding: 3px 6px; border-bottom: 1px solid rgba(var(--gt-fg-rgb), 0.08);
+        }
+        .tracker-import-preview th { color: var(--gt-text-muted); font-weight: 500; position: sticky; top: 0; background-color: var(--gt-surface-strong); }
+
         /* --- Separator Line --- */
         .tracker-separator { /* Styles unchanged */
             height: 1px;
-            background-color: rgba(255, 255, 255, 0.15);
+            background-color: rgba(var(--gt-fg-rgb), 0.15);
             margin: 15px 0; /* Space above and below */
         }
 
@@ -658,20 +4569,26 @@
             padding: 5px 0;
              /* margin-bottom: 10px; */ /* Removed bottom margin as separator handles spacing */
              font-size: 0.95em;
-             color: #bdc1c6;
+             color: var(--gt-text-muted);
         }
-        .tracker-setting label[for="dev-mode-checkbox"] { cursor: default; }
+        .tracker-setting > label:first-child { cursor: default; }
+        .tracker-setting-number {
+            width: 70px; background-color: rgba(var(--gt-fg-rgb), 0.1); border: 1px solid rgba(var(--gt-fg-rgb), 0.3);
+            color: var(--gt-text); border-radius: 4px; padding: 2px 6px; font-family: inherit; font-size: 0.9em; text-align: right;
+        }
+        .tracker-setting-number:focus { outline: none; border-color: var(--gt-accent); }
+        #tracker-settings-section .tracker-setting { font-size: 1em; }
 
         /* --- Toggle Switch Styles --- */
         .switch { /* Styles unchanged */
             position: relative; display: inline-block; width: 40px; height: 20px; margin-left: 10px; }
         .switch input { opacity: 0; width: 0; height: 0; }
         .slider { position: absolute; cursor: pointer; top: 0; left: 0; right: 0; bottom: 0;
-            background-color: rgba(255, 255, 255, 0.2); transition: .4s; }
+            background-color: rgba(var(--gt-fg-rgb), 0.2); transition: .4s; }
         .slider:before { position: absolute; content: ""; height: 14px; width: 14px; left: 3px;
             bottom: 3px; background-color: white; transition: .4s; }
-        input:checked + .slider { background-color: #8ab4f8; }
-        input:focus + .slider { box-shadow: 0 0 1px #8ab4f8; }
+        input:checked + .slider { background-color: var(--gt-accent); }
+        input:focus + .slider { box-shadow: 0 0 1px var(--gt-accent); }
         input:checked + .slider:before { transform: translateX(20px); }
         .slider.round { border-radius: 20px; }
         .slider.round:before { border-radius: 50%; }
@@ -679,69 +4596,1228 @@
         /* --- Conditional Styling Based on Panel Class --- */
         #gemini-tracker-panel.dev-mode-active .model-count { cursor: pointer; }
         #gemini-tracker-panel.dev-mode-active .model-count:hover {
-             background-color: rgba(138, 180, 248, 0.2); }
+             background-color: rgba(var(--gt-accent-rgb), 0.2); }
+
+        /* --- In-Page Dialog --- */
+        .tracker-dialog-overlay {
+            position: fixed; inset: 0; background-color: rgba(0, 0, 0, 0.45); z-index: 10000;
+            display: flex; justify-content: center; align-items: center;
+        }
+        .tracker-dialog {
+            background-color: var(--gt-surface-strong); color: var(--gt-text); border-radius: 12px;
+            border: 1px solid rgba(var(--gt-fg-rgb), 0.15); box-shadow: 0 8px 24px rgba(0, 0, 0, 0.4);
+            padding: 18px 20px; max-width: 380px; font-family: 'Google Sans', sans-serif;
+        }
+        .tracker-dialog h4 { margin: 0 0 8px 0; font-size: 1.05em; font-weight: 500; }
+        .tracker-dialog p { margin: 0 0 16px 0; font-size: 0.95em; color: var(--gt-text-muted); white-space: pre-line; }
+        .tracker-dialog-buttons { display: flex; justify-content: flex-end; gap: 8px; flex-wrap: wrap; }
+        .tracker-dialog-btn {
+            padding: 6px 12px; border-radius: 6px; border: 1px solid rgba(var(--gt-fg-rgb), 0.3);
+            background: none; color: var(--gt-text); cursor: pointer; font-family: inherit; font-size: 0.9em;
+        }
+        .tracker-dialog-btn:hover { background-color: rgba(var(--gt-fg-rgb), 0.1); }
+        .tracker-dialog-btn.primary { background-color: var(--gt-accent); border-color: var(--gt-accent); color: var(--gt-on-accent); font-weight: 500; }
+        .tracker-dialog-btn.primary:hover { background-color: var(--gt-accent-hover); }
+
+        /* --- Layout: Drag, Dock, Mini HUD --- */
+        #gemini-tracker-panel { resize: both; min-width: 260px; min-height: 160px; }
+        #gemini-tracker-panel .tracker-header { cursor: move; touch-action: none; }
+        #gemini-tracker-panel .tracker-header button, #gemini-tracker-panel .tracker-header input { cursor: pointer; }
+        #gemini-tracker-toggle { touch-action: none; }
+        .tracker-dragging { transition: none !important; opacity: 0.9; user-select: none; }
+        .tracker-header-btn {
+            background: none; border: none; color: var(--gt-text-muted); font-size: 16px; line-height: 1; cursor: pointer;
+            padding: 0 3px; opacity: 0.7; flex-shrink: 0;
+        }
+        .tracker-header-btn:hover { color: var(--gt-text); opacity: 1; }
+        .tracker-header-btn[aria-pressed="true"] { color: var(--gt-accent); opacity: 1; }
+        #gemini-tracker-panel.docked-left, #gemini-tracker-panel.docked-right {
+            top: 0 !important; bottom: 0 !important; height: auto; max-height: none; border-radius: 0; resize: none;
+        }
+        #gemini-tracker-panel.docked-left { left: 0 !important; right: auto !important; border-width: 0 1px 0 0; }
+        #gemini-tracker-panel.docked-right { right: 0 !important; left: auto !important; border-width: 0 0 0 1px; }
+        .tracker-sidebar-grip { display: none; position: absolute; top: 0; bottom: 0; width: 6px; cursor: ew-resize; }
+        #gemini-tracker-panel.docked-left .tracker-sidebar-grip { display: block; right: 0; }
+        #gemini-tracker-panel.docked-right .tracker-sidebar-grip { display: block; left: 0; }
+        body.gemini-tracker-panel-open.gemini-tracker-docked-left { margin-left: var(--gemini-tracker-sidebar-width) !important; }
+        body.gemini-tracker-panel-open.gemini-tracker-docked-right { margin-right: var(--gemini-tracker-sidebar-width) !important; }
+        body.gemini-tracker-mini #gemini-tracker-toggle { display: none; }
+        #tracker-mini-hud {
+            margin-left: 8px; padding: 4px 10px; border-radius: 12px; border: 1px solid rgba(var(--gt-accent-rgb), 0.4);
+            background-color: rgba(var(--gt-accent-rgb), 0.12); color: var(--gt-accent); font-family: 'Google Sans', sans-serif;
+            font-size: 12px; font-weight: 500; white-space: nowrap; cursor: pointer; align-self: center;
+        }
+        #tracker-mini-hud.floating { position: fixed; bottom: 20px; right: 20px; z-index: 9998; margin: 0; background-color: var(--gt-surface); }
+        #tracker-mini-hud.quota-warning { color: var(--gt-warning-text); border-color: rgba(249, 171, 0, 0.5); background-color: rgba(249, 171, 0, 0.12); }
+        #tracker-mini-hud.quota-danger { color: var(--gt-danger-text); border-color: rgba(217, 48, 37, 0.6); background-color: rgba(217, 48, 37, 0.15); }
 
-        /* --- Body Class --- */
-        body.gemini-tracker-panel-open input-area-v2 { /* Styles unchanged */ }
+        /* --- Calendar Heatmap --- */
+        .flatpickr-day.tracker-heat-1 { background: rgba(var(--gt-accent-rgb), 0.15); }
+        .flatpickr-day.tracker-heat-2 { background: rgba(var(--gt-accent-rgb), 0.3); }
+        .flatpickr-day.tracker-heat-3 { background: rgba(var(--gt-accent-rgb), 0.5); }
+        .flatpickr-day.tracker-heat-4 { background: rgba(var(--gt-accent-rgb), 0.7); color: var(--gt-on-accent); }
+        .flatpickr-day.tracker-limit-hit { position: relative; }
+        .flatpickr-day.tracker-limit-hit::after {
+            content: ""; position: absolute; top: 3px; right: 5px; width: 5px; height: 5px;
+            border-radius: 50%; background-color: var(--gt-danger-text);
+        }
 
         /* --- Flatpickr Dark Theme Adjustments (Optional) --- */
         .flatpickr-calendar.dark {
-             background: rgba(50, 50, 55, 0.98); /* Slightly adjusted background */
+             background: var(--gt-surface-raised); /* Slightly adjusted background */
              border-radius: 8px;
              box-shadow: 0 4px 15px rgba(0,0,0,0.4);
-             border: 1px solid rgba(255, 255, 255, 0.15);
+             border: 1px solid rgba(var(--gt-fg-rgb), 0.15);
              backdrop-filter: blur(4px);
          }
          .flatpickr-calendar.dark .flatpickr-day:hover,
          .flatpickr-calendar.dark .flatpickr-day.prevMonthDay:hover,
          .flatpickr-calendar.dark .flatpickr-day.nextMonthDay:hover {
-             background: rgba(138, 180, 248, 0.2); /* Use highlight color for hover */
+             background: rgba(var(--gt-accent-rgb), 0.2); /* Use highlight color for hover */
          }
         .flatpickr-calendar.dark .flatpickr-day.selected {
-             background: #8ab4f8; /* Match UI highlight */
-             border-color: #8ab4f8;
+             background: var(--gt-accent); /* Match UI highlight */
+             border-color: var(--gt-accent);
          }
           .flatpickr-calendar.dark .flatpickr-day.today {
-              border-color: rgba(255, 255, 255, 0.5); /* Make today indicator visible */
+              border-color: rgba(var(--gt-fg-rgb), 0.5); /* Make today indicator visible */
           }
           .flatpickr-calendar.dark .flatpickr-day.today:hover {
-               background: rgba(138, 180, 248, 0.2); /* Use highlight hover */
+               background: rgba(var(--gt-accent-rgb), 0.2); /* Use highlight hover */
            }
           .flatpickr-calendar.dark .flatpickr-months .flatpickr-prev-month,
           .flatpickr-calendar.dark .flatpickr-months .flatpickr-next-month {
-              fill: #bdc1c6; /* Adjust arrow color */
+              fill: var(--gt-text-muted); /* Adjust arrow color */
           }
            .flatpickr-calendar.dark .flatpickr-months .flatpickr-prev-month:hover svg,
            .flatpickr-calendar.dark .flatpickr-months .flatpickr-next-month:hover svg {
-               fill: #e8eaed; /* Brighter arrow on hover */
+               fill: var(--gt-text); /* Brighter arrow on hover */
            }
            .flatpickr-calendar.dark .flatpickr-current-month .flatpickr-monthDropdown-months,
            .flatpickr-calendar.dark .flatpickr-current-month input.cur-year {
-                color: #e8eaed; /* Header text color */
+                color: var(--gt-text); /* Header text color */
                 font-weight: 500;
            }
     `);
 
-    // --- Event Listener for Prompt Submission ---
-    function attachSendListener() {
-        document.body.addEventListener('click', function (event) {
-            const sendButton = event.target.closest('button:has(mat-icon[data-mat-icon-name="send"]), button.send-button');
-            if (sendButton && sendButton.getAttribute('aria-disabled') !== 'true') {
-                setTimeout(() => {
-                    const modelName = getCurrentModelName();
-
-                    // Skip Deep Research model in general tracking - it's handled by trackDeepResearchConfirmation()
-                    if (modelName === 'Deep Research') {
-                        console.log(`Gemini Tracker: Deep Research detected but not incrementing via send button.`);
+    // --- Quota Guard ---
+    let bypassQuotaGuardOnce = false; // Set when the user chooses "Send anyway" so the replayed click goes through
+
+    /**
+     * Stops a submission before it reaches Gemini when the opt-in quota guard is on and the model's
+     * daily limit is used up, then lets the user decide what to do.
+     * @param {Event} event The capture-phase event that would submit the prompt.
+     * @param {string|null} modelName Model the submission would be counted against.
+     * @param {function(): void} resend Replays the submission if the user chooses to send anyway.
+     * @returns {boolean} True if the submission was intercepted and must not be counted.
+     */
+    function interceptIfQuotaExhausted(event, modelName, resend) {
+        if (bypassQuotaGuardOnce) {
+            bypassQuotaGuardOnce = false;
+            return false;
+        }
+        if (!getSetting('quotaGuard') || !modelName) return false;
+
+        const limit = getModelLimit(modelName);
+        if (!limit) return false;
+        const used = getCountsForDate(getCurrentDateString())[modelName] || 0;
+        if (used < limit) return false;
+
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        console.log(`Gemini Tracker: Quota guard intercepted a send to ${modelName} (${used}/${limit}).`);
+
+        showTrackerDialog({
+            title: 'Daily limit reached',
+            message: `${modelName} is at ${used}/${limit} today.`,
+            buttons: [
+                { label: 'Cancel', value: 'cancel' },
+                { label: 'Switch model', value: 'switch' },
+                { label: 'Send anyway', value: 'send', primary: true },
+            ],
+        }, (choice) => {
+            if (choice === 'send') {
+                bypassQuotaGuardOnce = true;
+                resend(); // Dispatches synchronously, so the flag is consumed by the replayed event
+                bypassQuotaGuardOnce = false;
+            } else if (choice === 'switch') {
+                const switcher = document.querySelector('button.gds-mode-switch-button, bard-mode-switcher button');
+                if (switcher) switcher.click();
+            }
+        });
+        return true;
+    }
+
+    // --- Response Confirmation ---
+    // Outcomes of submissions that didn't produce a normal response. They're kept apart from the usage counts
+    // because Gemini didn't actually run the model for them.
+    const SUBMISSION_OUTCOMES = {
+        error: 'error',
+        quota: 'quota refusal',
+        'no-response': 'no response',
+    };
+    const RESPONSE_ERROR_PATTERNS = [
+        /something went wrong/i,
+        /an error occurred/i,
+        /i'm having a hard time fulfilling your request/i,
+        /couldn't (?:complete|process) (?:your|this) request/i,
+    ];
+    const RESPONSE_QUOTA_PATTERNS = [
+        /you've reached your\b[^.]*\blimit/i,
+        /\blimit (?:resets|will reset)\b/i,
+    ];
+    const SNACKBAR_SELECTOR = 'mat-snack-bar-container, simple-snack-bar';
+    // Gemini's own error/refusal notice inside a response turn, as opposed to the free-form answer text
+    const RESPONSE_NOTICE_SELECTOR = '.response-error, error-message, [role="alert"]';
+    // Present while a response is still streaming in
+    const RESPONSE_BUSY_SELECTOR = '[aria-busy="true"], pending-response, .pending-response';
+    const RESPONSE_SETTLE_MS = 1500; // A response counts as finished once its text hasn't changed for this long
+
+    function loadSubmissionOutcomes() {
+        try {
+            const outcomes = JSON.parse(GM_getValue(STORAGE_KEY_OUTCOMES, '{}'));
+            return outcomes && typeof outcomes === 'object' && !Array.isArray(outcomes) ? outcomes : {};
+        } catch (e) {
+            console.error("Gemini Tracker: Error parsing submission outcomes, starting fresh.", e);
+            return {};
+        }
+    }
+
+    function recordSubmissionOutcome(modelName, outcome) {
+        const outcomes = loadSubmissionOutcomes();
+        const date = getCurrentDateString();
+        const dayOutcomes = outcomes[date] || (outcomes[date] = {});
+        const modelOutcomes = dayOutcomes[modelName] || (dayOutcomes[modelName] = {});
+        modelOutcomes[outcome] = (modelOutcomes[outcome] || 0) + 1;
+        GM_setValue(STORAGE_KEY_OUTCOMES, JSON.stringify(outcomes));
+        console.log(`Gemini Tracker: Prompt to ${modelName} ended with '${outcome}'; not counted as usage.`);
+
+        if (uiPanel && uiPanel.style.display === 'block' && !selectedRange && selectedDate === date) {
+            updateUI(selectedDate);
+        }
+    }
+
+    // Small "⚠ N" badge for a model row, or null when the model had no failed submissions that day
+    function createOutcomesBadge(modelOutcomes) {
+        const parts = Object.keys(SUBMISSION_OUTCOMES)
+            .filter(outcome => modelOutcomes && modelOutcomes[outcome] > 0)
+            .map(outcome => `${modelOutcomes[outcome]} × ${SUBMISSION_OUTCOMES[outcome]}`);
+        if (parts.length === 0) return null;
+
+        const badge = document.createElement('span');
+        badge.className = 'model-outcomes';
+        badge.textContent = `⚠ ${Object.keys(SUBMISSION_OUTCOMES).reduce((sum, outcome) => sum + (modelOutcomes[outcome] || 0), 0)}`;
+        badge.title = `Not counted: ${parts.join(', ')}`;
+        return badge;
+    }
+
+    // 'error', 'quota' or null when nothing in the text looks like a failure. Only meant for Gemini's notices
+    // (snackbars, alerts, error containers): an answer that merely talks about rate limits would match too.
+    function classifyFailureText(text) {
+        if (RESPONSE_QUOTA_PATTERNS.some(pattern => pattern.test(text))) return 'quota';
+        if (RESPONSE_ERROR_PATTERNS.some(pattern => pattern.test(text))) return 'error';
+        return null;
+    }
+
+    // Text of the error/refusal notices inside a response turn, or '' when it only holds an answer
+    function getResponseNoticeText(turn) {
+        return Array.from(turn.querySelectorAll(RESPONSE_NOTICE_SELECTOR), notice => notice.textContent).join(' ');
+    }
+
+    // Response turns and snackbars already on the page, taken synchronously when a prompt is sent: Gemini adds
+    // the pending model-response together with the user-query, before any detection delay has passed
+    function snapshotResponseState() {
+        return {
+            turns: new Set(document.querySelectorAll('model-response')),
+            snackbars: new Set(document.querySelectorAll(SNACKBAR_SELECTOR)),
+        };
+    }
+
+    /**
+     * Watches the chat for the response to a just-submitted prompt and only then counts it. A new
+     * `model-response` turn commits the increment once it has finished streaming (no busy marker and text
+     * unchanged for RESPONSE_SETTLE_MS); an error or quota notice (in the turn or a snackbar) and a timeout
+     * are recorded as outcomes instead.
+     * @param {{turns: Set<Element>, snackbars: Set<Element>}} [before] From snapshotResponseState at send time.
+     */
+    function awaitResponseConfirmation(modelName, source, attributes = null, before = snapshotResponseState()) {
+        const chatWindow = document.querySelector('chat-window') || document.body;
+        const existingTurns = before.turns;
+        const existingSnackbars = before.snackbars;
+        let settled = false;
+        let settleTimer = null;
+        let lastText = '';
+
+        const settle = (outcome) => {
+            if (settled) return;
+            settled = true;
+            observer.disconnect();
+            clearTimeout(timeout);
+            clearTimeout(settleTimer);
+            if (outcome === 'response') {
+                incrementCount(modelName, source, attributes);
+            } else {
+                recordSubmissionOutcome(modelName, outcome);
+            }
+        };
+
+        const check = () => {
+            // Snackbars live outside chat-window, so they're polled on every chat mutation instead of observed
+            for (const snackbar of document.querySelectorAll(SNACKBAR_SELECTOR)) {
+                const failure = !existingSnackbars.has(snackbar) && classifyFailureText(snackbar.textContent);
+                if (failure) return settle(failure);
+            }
+            const newTurn = findNewTurn();
+            if (!newTurn) return;
+            const failure = classifyFailureText(getResponseNoticeText(newTurn));
+            if (failure) return settle(failure);
+
+            // Restart the quiet period on every change, so error text arriving late is still seen
+            const text = newTurn.textContent.trim();
+            if (!text || text === lastText) return;
+            lastText = text;
+            clearTimeout(settleTimer);
+            settleTimer = setTimeout(finishIfDone, RESPONSE_SETTLE_MS);
+        };
+        const findNewTurn = () => Array.from(document.querySelectorAll('model-response')).find(turn => !existingTurns.has(turn));
+        const finishIfDone = () => {
+            const newTurn = findNewTurn();
+            if (newTurn && newTurn.querySelector(RESPONSE_BUSY_SELECTOR)) {
+                settleTimer = setTimeout(finishIfDone, RESPONSE_SETTLE_MS);
+                return;
+            }
+            settle('response');
+        };
+
+        const observer = new MutationObserver(check);
+        observer.observe(chatWindow, { childList: true, subtree: true, characterData: true });
+        // A long answer may still be streaming at the timeout; it's a response all the same
+        const timeout = setTimeout(() => settle(lastText ? 'response' : 'no-response'), getSetting('responseTimeoutSeconds') * 1000);
+        check();
+    }
+
+    // --- Limit Notices ---
+    // Gemini's own "you've reached your limit" messages are the ground truth for per-model quotas, so each one
+    // is recorded with the usage count it appeared at.
+    const LIMIT_NOTICE_SELECTOR = `${SNACKBAR_SELECTOR}, [role="alert"]`;
+    const LIMIT_NOTICE_SCAN_DELAY_MS = 500;
+    const SUBMISSION_SOURCES = ['send', 'enter', 'edit', 'regenerate', 'suggestion', 'deep-research'];
+    // Turns and notices already on the page at the last tracked submission, and when it happened
+    let lastTrackedSubmission = null; // { at, turns: Set<Element>, notices: Set<Element> }
+
+    // Only turns and notices that appear after this are scanned, so an old chat or a stale snackbar never
+    // records a hit
+    function noteTrackedSubmission() {
+        lastTrackedSubmission = {
+            at: Date.now(),
+            turns: new Set(document.querySelectorAll('model-response')),
+            notices: new Set(document.querySelectorAll(LIMIT_NOTICE_SELECTOR)),
+        };
+    }
+
+    function loadLimitHits() {
+        return loadJSONArray(STORAGE_KEY_LIMIT_HITS);
+    }
+
+    // Successful uses before the notice: a refused prompt counted on click just before it doesn't count
+    function getUsesBeforeLimitNotice(modelName, date) {
+        const count = getCountsForDate(date)[modelName] || 0;
+        if (getSetting('responseConfirmation')) return count;
+        const lastEvent = loadUsageEvents().filter(event => event.model === modelName && event.date === date).pop();
+        const refusedSubmission = lastEvent && SUBMISSION_SOURCES.includes(lastEvent.source)
+            && Date.now() - lastEvent.ts < getSetting('responseTimeoutSeconds') * 1000;
+        return refusedSubmission ? Math.max(0, count - 1) : count;
+    }
+
+    function recordLimitHit(noticeText) {
+        const modelName = getCurrentModelName();
+        if (!modelName) return;
+        const date = getCurrentDateString();
+        const limitHits = loadLimitHits();
+        if (limitHits.some(hit => hit.date === date && hit.model === modelName)) {
+            console.log(`Gemini Tracker: Limit notice for ${modelName} already recorded on ${date}.`);
+            return;
+        }
+        const uses = getUsesBeforeLimitNotice(modelName, date);
+        limitHits.push({ ts: Date.now(), date, model: modelName, uses, notice: noticeText.trim().slice(0, 200) });
+        GM_setValue(STORAGE_KEY_LIMIT_HITS, JSON.stringify(limitHits));
+        console.log(`Gemini Tracker: Gemini reported the limit for ${modelName} at ${uses} uses on ${date}.`);
+        heatmapCache = null;
+        refreshPanel();
+    }
+
+    /**
+     * Suggests a daily limit from the uses recorded at Gemini's recent limit notices for a model.
+     * @param {string} modelName
+     * @param {Array<{model: string, uses: number}>} [limitHits] Pre-loaded hits, to avoid re-reading storage per row.
+     * @returns {{limit: number, samples: number}|null} Median of the most recent hits, or null without any.
+     */
+    function suggestModelLimit(modelName, limitHits = loadLimitHits()) {
+        const uses = limitHits
+            .filter(hit => hit.model === modelName && hit.uses > 0)
+            .slice(-LIMIT_SUGGESTION_SAMPLES)
+            .map(hit => hit.uses)
+            .sort((a, b) => a - b);
+        if (uses.length === 0) return null;
+        const middle = Math.floor(uses.length / 2);
+        const median = uses.length % 2 ? uses[middle] : Math.round((uses[middle - 1] + uses[middle]) / 2);
+        return { limit: median, samples: uses.length };
+    }
+
+    // Watches the whole page (snackbars live outside chat-window) and scans for notices at most twice a second.
+    // Snackbars and alerts only count when they appeared within the response timeout of a tracked submission;
+    // response turns when they arrived after one, and then only their notice containers.
+    function watchForLimitNotices() {
+        const reported = new WeakSet();
+        let scanPending = false;
+        const report = (element, text) => {
+            if (reported.has(element) || classifyFailureText(text) !== 'quota') return;
+            reported.add(element);
+            recordLimitHit(text);
+        };
+        const scan = () => {
+            scanPending = false;
+            const submission = lastTrackedSubmission;
+            if (!submission) return;
+            if (Date.now() - submission.at <= getSetting('responseTimeoutSeconds') * 1000) {
+                document.querySelectorAll(LIMIT_NOTICE_SELECTOR).forEach(element => {
+                    if (!submission.notices.has(element) && !element.closest('model-response')) report(element, element.textContent);
+                });
+            }
+            document.querySelectorAll('model-response').forEach(turn => {
+                if (!submission.turns.has(turn)) report(turn, getResponseNoticeText(turn));
+            });
+        };
+        new MutationObserver(() => {
+            if (scanPending) return;
+            scanPending = true;
+            setTimeout(scan, LIMIT_NOTICE_SCAN_DELAY_MS);
+        }).observe(document.body, { childList: true, subtree: true, characterData: true });
+        console.log("Gemini Tracker: Watching for Gemini limit notices.");
+    }
+
+    // --- Team Sync ---
+    // Opt-in push of usage events to a self-hosted HTTP endpoint, which aggregates them across the team:
+    //   POST {endpoint}/events  { clientId, events: [{ id, ts, date, model, source, delta }] }  (ids are idempotent)
+    //   GET  {endpoint}/totals?start=YYYY-MM-DD&end=YYYY-MM-DD  → { totals: { model: count } }
+    // Both send "Authorization: Bearer <token>". tools/sync-stub-server.js is a local stand-in for testing.
+    // Only localhost is declared with @connect; for any other endpoint the userscript manager asks the user to
+    // allow that host on the first request (or they add their own @connect line).
+    const syncStatus = { lastSuccessAt: null, lastError: null, nextRetryAt: null };
+    let syncTimer = null;
+    let syncFailures = 0;
+    let syncInFlight = false;
+    let syncBatchSize = SYNC_BATCH_SIZE; // Halved when the endpoint rejects a batch as too large (413), regrown on success
+    let teamTotalsCache = {}; // 'start|end' → { totals, fetchedAt, pending }
+
+    function loadSyncSettings() {
+        let settings = {};
+        try {
+            settings = JSON.parse(GM_getValue(STORAGE_KEY_SYNC_SETTINGS, '{}')) || {};
+        } catch (e) {
+            console.error("Gemini Tracker: Error parsing sync settings, using defaults.", e);
+        }
+        const normalized = {
+            enabled: settings.enabled === true,
+            endpoint: typeof settings.endpoint === 'string' ? settings.endpoint : '',
+            token: typeof settings.token === 'string' ? settings.token : '',
+            clientId: typeof settings.clientId === 'string' && settings.clientId ? settings.clientId : generateEventId(),
+        };
+        if (normalized.clientId !== settings.clientId) saveSyncSettings(normalized);
+        return normalized;
+    }
+
+    function saveSyncSettings(settings) {
+        GM_setValue(STORAGE_KEY_SYNC_SETTINGS, JSON.stringify(settings));
+    }
+
+    function isValidSyncEndpoint(endpoint) {
+        try {
+            return ['http:', 'https:'].includes(new URL(endpoint).protocol);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    function isSyncEnabled() {
+        const settings = loadSyncSettings();
+        return settings.enabled && isValidSyncEndpoint(settings.endpoint);
+    }
+
+    // Resolves with the parsed JSON body for a 2xx response, rejects with an Error otherwise
+    function syncRequest(method, path, { params = null, body = null } = {}) {
+        const settings = loadSyncSettings();
+        const query = params ? `?${new URLSearchParams(params)}` : '';
+        return new Promise((resolve, reject) => {
+            GM_xmlhttpRequest({
+                method,
+                url: `${settings.endpoint.replace(/\/+$/, '')}${path}${query}`,
+                headers: {
+                    'Authorization': `Bearer ${settings.token}`,
+                    'Content-Type': 'application/json',
+                },
+                data: body ? JSON.stringify(body) : undefined,
+                timeout: SYNC_REQUEST_TIMEOUT_MS,
+                onload: (response) => {
+                    if (response.status < 200 || response.status >= 300) {
+                        reject(Object.assign(new Error(`HTTP ${response.status} from ${path}`), { status: response.status }));
                         return;
                     }
+                    try {
+                        resolve(response.responseText ? JSON.parse(response.responseText) : {});
+                    } catch (e) {
+                        reject(new Error(`Invalid JSON from ${path}`));
+                    }
+                },
+                onerror: () => reject(new Error(`Network error calling ${path}`)),
+                ontimeout: () => reject(new Error(`Timed out calling ${path}`)),
+            });
+        });
+    }
+
+    function saveSyncQueue(queue) {
+        GM_setValue(STORAGE_KEY_SYNC_QUEUE, JSON.stringify(queue));
+    }
+
+    // Conversation IDs stay local; only what the team totals need is queued
+    function enqueueSyncEvents(events) {
+        if (events.length === 0 || !isSyncEnabled()) return;
+        const queue = loadJSONArray(STORAGE_KEY_SYNC_QUEUE);
+        const queuedIds = new Set(queue.map(event => event.id));
+        events.forEach(({ id, ts, date, model, source, delta }) => {
+            if (!queuedIds.has(id)) queue.push({ id, ts, date, model, source, delta });
+        });
+        saveSyncQueue(queue);
+        if (!syncInFlight && syncFailures === 0) scheduleSyncFlush(0);
+    }
+
+    function scheduleSyncFlush(delay) {
+        clearTimeout(syncTimer);
+        syncStatus.nextRetryAt = delay > 0 ? Date.now() + delay : null;
+        syncTimer = setTimeout(flushSyncQueue, delay);
+    }
+
+    // Pushes the queue in batches; failures back off exponentially (with jitter) and keep the events queued.
+    // A batch the endpoint finds too large is split and retried at once, since resending it as is can't succeed.
+    function flushSyncQueue() {
+        if (syncInFlight || !isSyncEnabled()) return;
+        const batch = loadJSONArray(STORAGE_KEY_SYNC_QUEUE).slice(0, syncBatchSize);
+        if (batch.length === 0) return;
+
+        syncInFlight = true;
+        const sentIds = new Set(batch.map(event => event.id));
+        syncRequest('POST', '/events', { body: { clientId: loadSyncSettings().clientId, events: batch } })
+            .then(() => withCountsLock(() => {
+                // Re-read inside the lock: other tabs may have queued more events meanwhile
+                const remaining = loadJSONArray(STORAGE_KEY_SYNC_QUEUE).filter(event => !sentIds.has(event.id));
+                saveSyncQueue(remaining);
+                return remaining.length;
+            }))
+            .then(remaining => {
+                syncFailures = 0;
+                syncBatchSize = Math.min(SYNC_BATCH_SIZE, syncBatchSize * 2);
+                syncStatus.lastSuccessAt = Date.now();
+                syncStatus.lastError = null;
+                teamTotalsCache = {}; // Our own push changed the team totals
+                console.log(`Gemini Tracker: Synced ${batch.length} usage event(s); ${remaining} still queued.`);
+                if (remaining > 0) {
+                    scheduleSyncFlush(0);
+                } else if (uiPanel && uiPanel.style.display === 'block') {
+                    refreshPanel();
+                }
+            })
+            .catch(error => {
+                if (error.status === 413 && batch.length > 1) {
+                    syncBatchSize = Math.ceil(batch.length / 2);
+                    console.warn(`Gemini Tracker: Sync endpoint rejected ${batch.length} events as too large; retrying ${syncBatchSize} at a time.`);
+                    scheduleSyncFlush(0);
+                    return;
+                }
+                syncFailures++;
+                const backoff = Math.min(SYNC_RETRY_MAX_MS, SYNC_RETRY_BASE_MS * 2 ** (syncFailures - 1));
+                const delay = Math.round(backoff * (0.75 + Math.random() * 0.5));
+                syncStatus.lastError = error.message;
+                console.warn(`Gemini Tracker: Sync failed (${error.message}); retrying in ${Math.round(delay / 1000)}s.`);
+                scheduleSyncFlush(delay);
+            })
+            .finally(() => {
+                syncInFlight = false;
+                renderSyncStatus();
+            });
+    }
+
+    function retrySyncNow() {
+        syncFailures = 0;
+        scheduleSyncFlush(0);
+    }
+
+    /**
+     * Team-wide totals for a date range from the sync endpoint. Returns what's cached (possibly slightly stale)
+     * and refreshes it in the background, re-rendering the panel when fresh totals arrive.
+     * @returns {Object<string, number>|null} Model → count, or null when sync is off or nothing has loaded yet.
+     */
+    function getTeamTotals(start, end) {
+        if (!isSyncEnabled()) return null;
+        const cacheKey = `${start}|${end}`;
+        const cached = teamTotalsCache[cacheKey];
+        if (!cached || (!cached.pending && Date.now() - cached.fetchedAt > TEAM_TOTALS_MAX_AGE_MS)) {
+            const entry = { totals: cached ? cached.totals : null, fetchedAt: Date.now(), pending: true };
+            teamTotalsCache[cacheKey] = entry;
+            syncRequest('GET', '/totals', { params: { start, end } })
+                .then(response => {
+                    const totals = {};
+                    Object.entries((response && response.totals) || {}).forEach(([modelName, count]) => {
+                        if (Number.isFinite(count) && count > 0) totals[modelName] = Math.round(count);
+                    });
+                    entry.totals = totals;
+                    if (uiPanel && uiPanel.style.display === 'block' && panelShowsDate(start)) refreshPanel();
+                })
+                .catch(error => {
+                    syncStatus.lastError = error.message;
+                    console.warn(`Gemini Tracker: Couldn't load team totals (${error.message}).`);
+                })
+                .finally(() => {
+                    entry.pending = false;
+                    entry.fetchedAt = Date.now();
+                });
+        }
+        return cached ? cached.totals : null;
+    }
+
+    function zeroCounts(counts) {
+        return Object.fromEntries(Object.keys(counts).map(modelName => [modelName, 0]));
+    }
+
+    function createTeamCount(count) {
+        const teamSpan = document.createElement('span');
+        teamSpan.className = 'model-team';
+        teamSpan.textContent = count;
+        teamSpan.title = 'Team total across everyone syncing to the endpoint';
+        return teamSpan;
+    }
+
+    function createTeamHeader() {
+        const header = document.createElement('li');
+        header.className = 'tracker-team-header';
+        header.innerHTML = `
+            <span class="model-name">Model</span>
+            <span class="model-team">Team</span>
+            <span class="model-usage">You</span>
+        `;
+        return header;
+    }
+
+    function renderSyncStatus() {
+        const statusElement = uiPanel && uiPanel.querySelector('#tracker-sync-status');
+        if (!statusElement) return;
+        const formatTime = (ts) => (ts ? new Date(ts).toLocaleTimeString() : '–');
+        const lines = [
+            ['Queued events', String(loadJSONArray(STORAGE_KEY_SYNC_QUEUE).length)],
+            ['Last push', formatTime(syncStatus.lastSuccessAt)],
+            ['Last error', syncStatus.lastError || '–'],
+            ['Next retry', syncFailures > 0 ? formatTime(syncStatus.nextRetryAt) : '–'],
+        ];
+        statusElement.innerHTML = '';
+        lines.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            const labelSpan = document.createElement('span');
+            labelSpan.textContent = label;
+            const valueSpan = document.createElement('span');
+            valueSpan.textContent = value;
+            valueSpan.title = value;
+            row.appendChild(labelSpan);
+            row.appendChild(valueSpan);
+            statusElement.appendChild(row);
+        });
+    }
+
+    function renderSyncSection() {
+        const body = uiPanel.querySelector('#tracker-sync-section .tracker-section-body');
+        if (!body) return;
+        body.innerHTML = '';
+        const settings = loadSyncSettings();
 
-                    console.log(`Gemini Tracker: Send clicked. Current model: ${modelName || 'Unknown'}. Incrementing for UTC Date: ${getCurrentUTCDateString()}`);
-                    incrementCount(modelName); // This now handles date logic internally
-                }, 50);
+        const enabledSetting = createSwitchSetting('sync-enabled-checkbox', 'Sync with team endpoint');
+        enabledSetting.checkbox.checked = settings.enabled;
+        body.appendChild(enabledSetting.container);
+
+        const createField = (labelText, type, value, placeholder) => {
+            const field = document.createElement('label');
+            field.className = 'tracker-sync-field';
+            field.textContent = labelText;
+            const input = document.createElement('input');
+            input.type = type;
+            input.value = value;
+            input.placeholder = placeholder;
+            input.autocomplete = 'off';
+            field.appendChild(input);
+            body.appendChild(field);
+            return input;
+        };
+        const endpointInput = createField('Endpoint', 'url', settings.endpoint, 'https://sync.example.com/gemini');
+        const tokenInput = createField('Bearer token', 'password', settings.token, 'Token');
+
+        const status = document.createElement('div');
+        status.id = 'tracker-sync-status';
+        status.className = 'tracker-diagnostics';
+
+        const actions = document.createElement('div');
+        actions.className = 'tracker-section-actions';
+        actions.appendChild(createSmallButton('Save', 'Save the sync settings', () => {
+            const endpoint = endpointInput.value.trim();
+            const enabled = enabledSetting.checkbox.checked;
+            if (enabled && !isValidSyncEndpoint(endpoint)) {
+                alert('Enter an http(s) endpoint URL to enable sync.');
+                return;
+            }
+            saveSyncSettings({ ...loadSyncSettings(), enabled, endpoint, token: tokenInput.value });
+            console.log(`Gemini Tracker: Team sync ${enabled ? 'enabled' : 'disabled'}.`);
+            teamTotalsCache = {};
+            if (enabled) retrySyncNow();
+            renderSyncSection();
+            refreshPanel();
+        }));
+        actions.appendChild(createSmallButton('Sync now', 'Push queued events immediately', retrySyncNow));
+        actions.appendChild(createSmallButton('Push history', 'Queue the whole retained event log; the endpoint ignores events it already has', () => {
+            if (!isSyncEnabled()) {
+                alert('Enable and save sync settings first.');
+                return;
+            }
+            enqueueSyncEvents(loadUsageEvents());
+            retrySyncNow();
+            renderSyncStatus();
+        }));
+        body.appendChild(actions);
+        body.appendChild(status);
+        renderSyncStatus();
+    }
+
+    function startTeamSync() {
+        window.addEventListener('online', () => {
+            if (isSyncEnabled()) retrySyncNow();
+        });
+        if (isSyncEnabled()) scheduleSyncFlush(0); // Push whatever was queued while offline or in a closed tab
+    }
+
+    // --- Usage Alerts ---
+    // Rules are checked after every counted prompt (and once a minute for the day rollover). Each rule fires at
+    // most once per model per day; which ones already fired is shared across tabs through STORAGE_KEY_ALERT_STATE.
+    const ALERT_RULE_TYPES = {
+        'limit-percent': { label: '% of daily limit', thresholdMin: 1, thresholdMax: 200 },
+        'count': { label: 'Uses today', thresholdMin: 1, thresholdMax: 10000 },
+        'first-use': { label: 'First use of the day' },
+        'day-reset': { label: 'Quota reset (new day)', modelless: true },
+    };
+    const DEFAULT_ALERT_RULES = [
+        { id: 'limit-80', type: 'limit-percent', model: '*', threshold: 80, enabled: true },
+        { id: 'limit-100', type: 'limit-percent', model: '*', threshold: 100, enabled: true },
+        { id: 'first-deep-research', type: 'first-use', model: 'Deep Research', enabled: true },
+        { id: 'day-reset', type: 'day-reset', model: '*', enabled: false },
+    ];
+    const ALERT_CHECK_INTERVAL_MS = 60 * 1000; // Day resets and alerts held back by quiet hours are checked this often
+    const TRACKER_ICON_URL = 'https://www.gstatic.com/lamda/images/gemini_sparkle_v002_d4735304ff6292a690345.svg';
+
+    // Drops malformed rules and clamps thresholds; shared by storage loading and settings imports
+    function sanitizeAlertRules(rules) {
+        if (!Array.isArray(rules)) return null;
+        const seenIds = new Set();
+        return rules.filter(rule => rule && typeof rule === 'object' && ALERT_RULE_TYPES[rule.type]).map(rule => {
+            const type = ALERT_RULE_TYPES[rule.type];
+            let id = typeof rule.id === 'string' && rule.id ? rule.id : generateEventId();
+            if (seenIds.has(id)) id = generateEventId();
+            seenIds.add(id);
+            const sanitized = {
+                id,
+                type: rule.type,
+                model: type.modelless || typeof rule.model !== 'string' || !rule.model ? '*' : rule.model,
+                enabled: rule.enabled !== false,
+            };
+            if (type.thresholdMin !== undefined) {
+                const threshold = Math.round(Number(rule.threshold));
+                sanitized.threshold = Number.isFinite(threshold) ? Math.min(type.thresholdMax, Math.max(type.thresholdMin, threshold)) : type.thresholdMin;
+            }
+            return sanitized;
+        });
+    }
+
+    function loadAlertRules() {
+        try {
+            const stored = sanitizeAlertRules(JSON.parse(GM_getValue(STORAGE_KEY_ALERT_RULES, 'null')));
+            return stored || DEFAULT_ALERT_RULES.map(rule => ({ ...rule }));
+        } catch (e) {
+            console.error("Gemini Tracker: Error parsing alert rules, using defaults.", e);
+            return DEFAULT_ALERT_RULES.map(rule => ({ ...rule }));
+        }
+    }
+
+    function saveAlertRules(rules) {
+        GM_setValue(STORAGE_KEY_ALERT_RULES, JSON.stringify(sanitizeAlertRules(rules)));
+    }
+
+    function describeAlertRule(rule) {
+        const model = rule.model === '*' ? 'Any model' : rule.model;
+        switch (rule.type) {
+            case 'limit-percent': return `${model} at ${rule.threshold}% of today's limit`;
+            case 'count': return `${model} reaches ${rule.threshold} uses today`;
+            case 'first-use': return `First ${rule.model === '*' ? 'use of any model' : rule.model} of the day`;
+            default: return 'Daily quotas reset (a new usage day starts)';
+        }
+    }
+
+    function loadAlertState() {
+        try {
+            const state = JSON.parse(GM_getValue(STORAGE_KEY_ALERT_STATE, '{}')) || {};
+            return {
+                date: typeof state.date === 'string' ? state.date : null,
+                fired: Array.isArray(state.fired) ? state.fired : [],
+                lastSeenDate: typeof state.lastSeenDate === 'string' ? state.lastSeenDate : null,
+                resetDueDate: typeof state.resetDueDate === 'string' ? state.resetDueDate : null,
+            };
+        } catch (e) {
+            return { date: null, fired: [], lastSeenDate: null, resetDueDate: null };
+        }
+    }
+
+    function hasAlertFired(key, dateString) {
+        const state = loadAlertState();
+        return state.date === dateString && state.fired.includes(key);
+    }
+
+    // True the first time a rule/model pair fires on a date; later calls that day return false
+    function markAlertFired(key, dateString) {
+        const state = loadAlertState();
+        if (state.date !== dateString) {
+            state.date = dateString;
+            state.fired = [];
+        }
+        if (state.fired.includes(key)) return false;
+        state.fired.push(key);
+        GM_setValue(STORAGE_KEY_ALERT_STATE, JSON.stringify(state));
+        return true;
+    }
+
+    // Quiet hours are in the browser's local time; a window like 22 → 7 wraps past midnight
+    function isQuietHours(now = new Date()) {
+        if (!getSetting('quietHoursEnabled')) return false;
+        const start = getSetting('quietHoursStart');
+        const end = getSetting('quietHoursEnd');
+        const hour = now.getHours();
+        if (start === end) return false;
+        return start < end ? (hour >= start && hour < end) : (hour >= start || hour < end);
+    }
+
+    // Shows an alert right away; callers check quiet hours first so a held-back alert isn't marked as fired
+    function fireAlert(title, message) {
+        console.log(`Gemini Tracker: Alert: ${title}: ${message}`);
+        const channel = getSetting('alertChannel');
+        if (channel !== 'system') {
+            showToast(`${title}: ${message}`, { actionLabel: 'Open', onAction: () => setUIVisibility(true) });
+        }
+        if (channel !== 'toast' && typeof GM_notification === 'function') {
+            GM_notification({
+                title,
+                text: message,
+                image: TRACKER_ICON_URL,
+                timeout: TOAST_DURATION_MS * 2,
+                onclick: () => {
+                    window.focus();
+                    setUIVisibility(true);
+                },
+            });
+        }
+    }
+
+    /**
+     * Fires every enabled rule that the new count for a model satisfies and hasn't fired today. During quiet
+     * hours nothing is marked as fired, so checkPendingAlerts delivers the alerts once they end.
+     * @param {string} modelName
+     * @param {number} count The model's count for the day after the increment.
+     * @param {string} dateString
+     */
+    function checkUsageAlerts(modelName, count, dateString) {
+        const limit = getModelLimit(modelName);
+        loadAlertRules().forEach(rule => {
+            if (!rule.enabled || (rule.model !== '*' && rule.model !== modelName)) return;
+            let message = null;
+            if (rule.type === 'limit-percent' && limit && count >= Math.ceil(limit * rule.threshold / 100)) {
+                message = `${modelName} is at ${Math.round((count / limit) * 100)}% of today's limit (${count} / ${limit}).`;
+            } else if (rule.type === 'count' && count >= rule.threshold) {
+                message = `${modelName} has reached ${count} uses today.`;
+            } else if (rule.type === 'first-use' && count >= 1) {
+                message = `First ${modelName} of the day (${dateString}).`;
+            }
+            if (!message) return;
+            const key = `${rule.id}|${modelName}`;
+            if (isQuietHours()) {
+                if (!hasAlertFired(key, dateString)) console.log(`Gemini Tracker: Alert held until quiet hours end: ${message}`);
+            } else if (markAlertFired(key, dateString)) {
+                fireAlert('Gemini usage', message);
+            }
+        });
+    }
+
+    // Notices the day boundary passing, whether the page stayed open across it or was opened afterwards
+    // The reset stays due for the rest of the day, so one passing during quiet hours is announced when they end.
+    function checkDayReset() {
+        const today = getCurrentDateString();
+        const state = loadAlertState();
+        if (state.lastSeenDate !== today) {
+            state.resetDueDate = state.lastSeenDate && state.lastSeenDate < today ? today : null;
+            state.lastSeenDate = today;
+            GM_setValue(STORAGE_KEY_ALERT_STATE, JSON.stringify(state));
+        }
+        const rule = loadAlertRules().find(candidate => candidate.type === 'day-reset' && candidate.enabled);
+        if (state.resetDueDate !== today || !rule || isQuietHours() || !markAlertFired(`${rule.id}|*`, today)) return;
+        fireAlert('Gemini quotas reset', `A new usage day started (${describeDayBoundary(getDayBoundary())}); counts start again from zero.`);
+        if (uiPanel && uiPanel.style.display === 'block' && !selectedRange) showDate(today);
+    }
+
+    // Runs every minute: announces day resets and, outside quiet hours, delivers today's milestones held back
+    // during them (rules that already fired are skipped by markAlertFired)
+    function checkPendingAlerts() {
+        checkDayReset();
+        if (!getSetting('quietHoursEnabled') || isQuietHours()) return;
+        const today = getCurrentDateString();
+        const dailyCounts = loadAllCounts()[today] || {};
+        Object.keys(dailyCounts).forEach(modelName => checkUsageAlerts(modelName, dailyCounts[modelName], today));
+    }
+
+    function startAlertWatcher() {
+        checkPendingAlerts();
+        setInterval(checkPendingAlerts, ALERT_CHECK_INTERVAL_MS);
+    }
+
+    function renderAlertsSection() {
+        const body = uiPanel && uiPanel.querySelector('#tracker-alerts-section .tracker-section-body');
+        if (!body) return;
+        body.innerHTML = '';
+        const rules = loadAlertRules();
+
+        const list = document.createElement('ul');
+        list.className = 'tracker-registry-list tracker-alert-list';
+        rules.forEach(rule => {
+            const item = document.createElement('li');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = rule.enabled;
+            checkbox.setAttribute('aria-label', `Enable alert: ${describeAlertRule(rule)}`);
+            checkbox.addEventListener('change', () => {
+                saveAlertRules(loadAlertRules().map(candidate => (candidate.id === rule.id ? { ...candidate, enabled: checkbox.checked } : candidate)));
+                renderAlertsSection();
+            });
+            item.appendChild(checkbox);
+            const info = document.createElement('div');
+            info.className = 'tracker-registry-info';
+            const name = document.createElement('span');
+            name.className = 'tracker-registry-name';
+            name.textContent = describeAlertRule(rule);
+            info.appendChild(name);
+            item.classList.toggle('disabled', !rule.enabled);
+            item.appendChild(info);
+            item.appendChild(createSmallButton('×', 'Delete this alert', () => {
+                saveAlertRules(loadAlertRules().filter(candidate => candidate.id !== rule.id));
+                renderAlertsSection();
+            }));
+            list.appendChild(item);
+        });
+        body.appendChild(list);
+
+        const addRow = document.createElement('div');
+        addRow.className = 'tracker-registry-add';
+        const typeSelect = document.createElement('select');
+        typeSelect.className = 'tracker-small-select';
+        typeSelect.setAttribute('aria-label', 'Alert type');
+        Object.entries(ALERT_RULE_TYPES).forEach(([type, { label }]) => typeSelect.add(new Option(label, type)));
+        const modelSelect = document.createElement('select');
+        modelSelect.className = 'tracker-small-select';
+        modelSelect.setAttribute('aria-label', 'Model');
+        modelSelect.add(new Option('Any model', '*'));
+        getModelNames({ includeHidden: true }).forEach(modelName => modelSelect.add(new Option(modelName, modelName)));
+        const thresholdInput = document.createElement('input');
+        thresholdInput.type = 'number';
+        thresholdInput.className = 'tracker-setting-number';
+        thresholdInput.value = '80';
+        thresholdInput.setAttribute('aria-label', 'Threshold');
+        const syncInputs = () => {
+            const type = ALERT_RULE_TYPES[typeSelect.value];
+            thresholdInput.hidden = type.thresholdMin === undefined;
+            modelSelect.hidden = Boolean(type.modelless);
+        };
+        typeSelect.addEventListener('change', syncInputs);
+        syncInputs();
+        addRow.appendChild(typeSelect);
+        addRow.appendChild(modelSelect);
+        addRow.appendChild(thresholdInput);
+        addRow.appendChild(createSmallButton('Add', 'Add this alert', () => {
+            saveAlertRules(loadAlertRules().concat({ id: generateEventId(), type: typeSelect.value, model: modelSelect.value, threshold: thresholdInput.value, enabled: true }));
+            renderAlertsSection();
+        }));
+        body.appendChild(addRow);
+
+        const actions = document.createElement('div');
+        actions.className = 'tracker-section-actions';
+        actions.appendChild(createSmallButton('Test', 'Show a sample alert using the current alert style', () => {
+            fireAlert('Gemini usage', 'This is how alerts will look.');
+        }));
+        actions.appendChild(createSmallButton('Defaults', 'Restore the built-in alerts', () => {
+            GM_deleteValue(STORAGE_KEY_ALERT_RULES);
+            renderAlertsSection();
+        }));
+        body.appendChild(actions);
+
+        const note = document.createElement('div');
+        note.className = 'tracker-registry-aliases';
+        note.textContent = getSetting('quietHoursEnabled')
+            ? `Quiet hours ${String(getSetting('quietHoursStart')).padStart(2, '0')}:00–${String(getSetting('quietHoursEnd')).padStart(2, '0')}:00 (local time)${isQuietHours() ? ', active now' : ''}. Alert style and quiet hours are in Settings.`
+            : 'Alert style and quiet hours are in Settings.';
+        body.appendChild(note);
+    }
+
+    // --- Prompt Details ---
+    // A prompt's weight varies wildly (a one-liner vs. twenty attached files vs. a video generation), so each
+    // submission event also records what was sent, read from the input area at the moment of sending.
+    const ATTACHMENT_SELECTOR = 'input-area-v2 uploader-file-preview, input-area-v2 [data-test-id="file-preview"], input-area-v2 .attachment-preview';
+    const ATTACHMENT_NAME_SELECTOR = '[data-test-id="file-name"], .file-name';
+    const TOOL_CHIP_SELECTOR = 'input-area-v2 [data-test-id="selected-tool-chip"], input-area-v2 toolbox-drawer-item button[aria-pressed="true"], input-area-v2 .toolbox-drawer-button-chip';
+    const FILE_TYPE_PATTERNS = [
+        ['image', /\.(png|jpe?g|gif|webp|heic|heif|bmp|svg)$/i],
+        ['pdf', /\.pdf$/i],
+        ['document', /\.(docx?|odt|rtf|txt|md)$/i],
+        ['spreadsheet', /\.(xlsx?|ods|csv|tsv)$/i],
+        ['presentation', /\.(pptx?|odp|key)$/i],
+        ['code', /\.(js|ts|jsx|tsx|py|ipynb|java|kt|c|cc|cpp|h|cs|go|rb|rs|php|swift|html|css|json|xml|ya?ml|sh|sql)$/i],
+        ['audio', /\.(mp3|wav|m4a|ogg|flac|aac)$/i],
+        ['video', /\.(mp4|mov|avi|webm|mkv)$/i],
+    ];
+    // Tools toggled in the input area's toolbox, plus extensions invoked with an @-mention in the prompt
+    const PROMPT_TOOLS = [
+        { id: 'canvas', label: 'Canvas', chipPattern: /\bcanvas\b/i },
+        { id: 'image', label: 'Image generation', chipPattern: /\bimages?\b|imagen/i },
+        { id: 'video', label: 'Video generation', chipPattern: /\bvideos?\b|\bveo\b/i },
+        { id: 'deep-research', label: 'Deep Research', chipPattern: /deep research/i },
+        { id: 'extensions', label: 'Extensions', promptPattern: /(^|\s)@(gmail|google (drive|docs|keep|tasks|calendar|maps|flights|hotels)|workspace|youtube( music)?|spotify|whatsapp|github)\b/i },
+    ];
+
+    function classifyAttachment(preview) {
+        const nameElement = preview.querySelector(ATTACHMENT_NAME_SELECTOR);
+        const name = (nameElement && nameElement.textContent.trim()) || preview.getAttribute('aria-label') || preview.title || '';
+        const match = FILE_TYPE_PATTERNS.find(([, pattern]) => pattern.test(name));
+        if (match) return match[0];
+        return preview.querySelector('img') ? 'image' : 'other';
+    }
+
+    /**
+     * Reads the prompt's length, attachments and active tools before Gemini clears the input.
+     * @param {Event} event The submitting event.
+     * @param {string} source Submission source (see CLICK_SUBMISSION_SOURCES).
+     * @returns {?{chars?: number, files?: Object<string, number>, tools?: string[]}} null when nothing is known (e.g. regenerate).
+     */
+    function captureSubmissionAttributes(event, source) {
+        const target = event.target instanceof Element ? event.target : null;
+        const fromInputArea = source === 'send' || source === 'enter';
+        let promptText = null;
+        if (fromInputArea) {
+            const input = document.querySelector(PROMPT_INPUT_SELECTOR);
+            if (input) promptText = input.tagName === 'TEXTAREA' ? input.value : (input.innerText || input.textContent);
+        } else if (source === 'edit') {
+            const container = target && target.closest('user-query, .query-content-edit');
+            const textarea = container && container.querySelector('textarea');
+            if (textarea) promptText = textarea.value;
+        } else if (source === 'suggestion') {
+            promptText = target ? target.textContent : null;
+        }
+
+        const attributes = {};
+        if (promptText !== null) attributes.chars = promptText.trim().length;
+        if (fromInputArea) {
+            const files = {};
+            document.querySelectorAll(ATTACHMENT_SELECTOR).forEach(preview => {
+                const type = classifyAttachment(preview);
+                files[type] = (files[type] || 0) + 1;
+            });
+            if (Object.keys(files).length > 0) attributes.files = files;
+        }
+        const chipText = fromInputArea ? Array.from(document.querySelectorAll(TOOL_CHIP_SELECTOR), chip => chip.textContent).join(' ') : '';
+        const tools = PROMPT_TOOLS
+            .filter(tool => (tool.chipPattern && tool.chipPattern.test(chipText)) || (tool.promptPattern && promptText && tool.promptPattern.test(promptText)))
+            .map(tool => tool.id);
+        if (tools.length > 0) attributes.tools = tools;
+        return Object.keys(attributes).length > 0 ? attributes : null;
+    }
+
+    /**
+     * Sums the recorded prompt details per model over an inclusive date range.
+     * @returns {Object<string, {prompts: number, chars: number, measuredPrompts: number, files: Object<string, number>, tools: Object<string, number>}>}
+     */
+    function getPromptDetails(startDate, endDate) {
+        const details = {};
+        loadUsageEvents().forEach(event => {
+            if (!event.attributes || !SUBMISSION_SOURCES.includes(event.source) || event.date < startDate || event.date > endDate) return;
+            const entry = details[event.model]
+                || (details[event.model] = { prompts: 0, chars: 0, measuredPrompts: 0, files: {}, tools: {} });
+            const { chars, files = {}, tools = [] } = event.attributes;
+            entry.prompts++;
+            if (typeof chars === 'number') {
+                entry.chars += chars;
+                entry.measuredPrompts++;
+            }
+            Object.keys(files).forEach(type => {
+                entry.files[type] = (entry.files[type] || 0) + files[type];
+            });
+            tools.forEach(tool => {
+                entry.tools[tool] = (entry.tools[tool] || 0) + 1;
+            });
+        });
+        return details;
+    }
+
+    function formatCharCount(chars) {
+        return chars >= 1000 ? `${(chars / 1000).toFixed(1)}k` : String(chars);
+    }
+
+    // "≈1.2k chars avg · 23 files · Canvas 2" line under a model row; null when nothing was recorded for it
+    function createPromptDetailsLine(entry) {
+        if (!entry) return null;
+        const parts = [];
+        const titleLines = [`${entry.prompts} prompt(s) with recorded details`];
+        if (entry.measuredPrompts > 0) {
+            parts.push(`≈${formatCharCount(Math.round(entry.chars / entry.measuredPrompts))} chars avg`);
+            titleLines.push(`${entry.chars} characters in total`);
+        }
+        const fileCount = Object.values(entry.files).reduce((sum, count) => sum + count, 0);
+        if (fileCount > 0) {
+            parts.push(`${fileCount} file${fileCount === 1 ? '' : 's'}`);
+            titleLines.push(`Files: ${Object.entries(entry.files).map(([type, count]) => `${type} ${count}`).join(', ')}`);
+        }
+        PROMPT_TOOLS.forEach(tool => {
+            if (entry.tools[tool.id]) parts.push(`${tool.label} ${entry.tools[tool.id]}`);
+        });
+        if (parts.length === 0) return null;
+
+        const line = document.createElement('div');
+        line.className = 'model-prompt-details';
+        line.textContent = parts.join(' · ');
+        line.title = titleLines.join('\n');
+        return line;
+    }
+
+    // --- Event Listeners for Prompt Submission ---
+    const SEND_BUTTON_SELECTOR = 'button:has(mat-icon[data-mat-icon-name="send"]), button.send-button';
+    const PROMPT_INPUT_SELECTOR = 'input-area-v2 rich-textarea [contenteditable="true"], input-area-v2 textarea';
+    const EDIT_INPUT_SELECTOR = 'user-query textarea, .query-content-edit textarea';
+    const SUGGESTION_TURN_TIMEOUT_MS = 2000;
+
+    // Buttons that submit a prompt, tagged with the source recorded on the usage event
+    const CLICK_SUBMISSION_SOURCES = [
+        { source: 'send', selector: SEND_BUTTON_SELECTOR },
+        { source: 'edit', selector: 'user-query button.update-button, button[data-test-id="update-button"]' },
+        { source: 'regenerate', selector: 'button[data-test-id="regenerate-button"], button:has(mat-icon[data-mat-icon-name="refresh"]), button[aria-label="Try again"], button[aria-label="Retry"]' },
+        // Chips may only fill the input, so they count once a new prompt turn actually appears
+        { source: 'suggestion', selector: 'button.suggestion-chip, [data-test-id="suggestion-chip"], suggestion-chip button', requiresNewTurn: true },
+    ];
+
+    let lastSubmissionAt = 0;
+
+    function isEnabledButton(button) {
+        return button && !button.disabled && button.getAttribute('aria-disabled') !== 'true';
+    }
+
+    function countPromptTurns() {
+        return document.querySelectorAll('user-query').length;
+    }
+
+    function waitForNewPromptTurn(turnsBefore, onTurn) {
+        const startedAt = Date.now();
+        const timer = setInterval(() => {
+            if (countPromptTurns() > turnsBefore) {
+                clearInterval(timer);
+                onTurn();
+            } else if (Date.now() - startedAt > SUGGESTION_TURN_TIMEOUT_MS) {
+                clearInterval(timer);
+                console.log("Gemini Tracker: Suggestion chip didn't submit a prompt; not counting it.");
+            }
+        }, 100);
+    }
+
+    /**
+     * Common path for every way of submitting a prompt: de-duplicates, applies the quota guard, then counts
+     * the model shortly after (the mode switcher can lag a tick behind the click).
+     * @param {Event} event The capture-phase event that submits the prompt.
+     * @param {string} source Tag recorded on the usage event.
+     * @param {function(): void} resend Replays the submission if the quota guard's "Send anyway" is chosen.
+     * @param {{requiresNewTurn?: boolean}} [options]
+     */
+    function handleSubmission(event, source, resend, { requiresNewTurn = false } = {}) {
+        const now = Date.now();
+        if (now - lastSubmissionAt < getSetting('submissionDedupMs')) {
+            console.log(`Gemini Tracker: Ignoring duplicate '${source}' submission.`);
+            return;
+        }
+        const guardedModel = detectModel().modelName;
+        // Deep Research is guarded (and counted) at its confirmation button instead
+        if (guardedModel !== 'Deep Research' && interceptIfQuotaExhausted(event, guardedModel, resend)) {
+            return;
+        }
+        lastSubmissionAt = now;
+        noteTrackedSubmission();
+        const attributes = captureSubmissionAttributes(event, source); // Now, before Gemini clears the input
+        const responseBefore = snapshotResponseState();
+
+        const count = () => {
+            const detection = detectModel();
+            const modelName = detection.modelName || UNKNOWN_MODEL;
+
+            // Skip Deep Research model in general tracking - it's handled by trackDeepResearchConfirmation()
+            if (modelName === 'Deep Research') {
+                console.log(`Gemini Tracker: Deep Research detected but not incrementing via ${source}.`);
+                return;
+            }
+
+            recordDetection(detection);
+            if (getSetting('responseConfirmation')) {
+                console.log(`Gemini Tracker: Prompt submitted via ${source}. Current model: ${modelName}. Waiting for the response before counting.`);
+                awaitResponseConfirmation(modelName, source, attributes, responseBefore);
+                return;
+            }
+            console.log(`Gemini Tracker: Prompt submitted via ${source}. Current model: ${modelName}. Incrementing for date: ${getCurrentDateString()}`);
+            incrementCount(modelName, source, attributes); // This now handles date logic internally
+        };
+
+        if (requiresNewTurn) {
+            waitForNewPromptTurn(countPromptTurns(), count);
+        } else {
+            setTimeout(count, getSetting('detectionDelayMs'));
+        }
+    }
+
+    function attachSendListener() {
+        document.body.addEventListener('click', function (event) {
+            for (const { source, selector, requiresNewTurn } of CLICK_SUBMISSION_SOURCES) {
+                const button = event.target.closest(selector);
+                if (isEnabledButton(button)) {
+                    handleSubmission(event, source, () => button.click(), { requiresNewTurn });
+                    return;
+                }
             }
         }, true); // Use capture phase
-        console.log("Gemini Tracker: Send button listener attached to body.");
+
+        // Enter / Ctrl+Enter in the prompt box, and Ctrl+Enter when editing an earlier prompt
+        document.addEventListener('keydown', function (event) {
+            if (event.key !== 'Enter' || event.shiftKey || event.isComposing || !(event.target instanceof Element)) return;
+
+            if (event.target.closest(PROMPT_INPUT_SELECTOR)) {
+                const sendButton = document.querySelector(`input-area-v2 :is(${SEND_BUTTON_SELECTOR})`);
+                if (isEnabledButton(sendButton)) {
+                    handleSubmission(event, 'enter', () => sendButton.click());
+                }
+            } else if ((event.ctrlKey || event.metaKey) && event.target.closest(EDIT_INPUT_SELECTOR)) {
+                const updateButton = event.target.closest('user-query, .query-content-edit').querySelector('button.update-button, button[data-test-id="update-button"]');
+                if (isEnabledButton(updateButton)) {
+                    handleSubmission(event, 'edit', () => updateButton.click());
+                }
+            }
+        }, true); // Capture phase, before Gemini's own handler sends the prompt
+        console.log("Gemini Tracker: Prompt submission listeners attached.");
     }
 
     // --- Initialization ---
@@ -751,14 +5827,30 @@
 
         if (chatContainer && inputArea && !document.getElementById('gemini-tracker-toggle')) {
             console.log("Gemini Tracker: Initializing UI, listeners, and calendar.");
-            // Ensure selectedDate is the current UTC date before creating UI
-            selectedDate = getCurrentUTCDateString();
+            // Ensure selectedDate is the current date before creating UI
+            selectedDate = getCurrentDateString();
+            runMigrations(); // Upgrade older storage layouts before anything reads them
+            migrateLegacySettings();
+            compactEventLog(); // Apply the retention policy to events left over from earlier sessions
             createUI(); // Creates panel, toggle, calendar, loads initial states
             attachSendListener();
             trackDeepResearchConfirmation(); // Add Deep Research tracking
+            watchForLimitNotices(); // Record Gemini's own "limit reached" messages
+            startCrossTabSync(); // Live refresh and lost-write recovery across Gemini tabs
+            startTeamSync(); // Opt-in push to a team endpoint
+            watchThemeChanges(); // Follow Gemini's light/dark switch while the page is open
+            attachHotkeyListener();
+            startAlertWatcher(); // Day-rollover alerts; usage alerts are checked from incrementCount
             // Add menu commands (Reset now targets selected date)
             GM_registerMenuCommand("Reset Gemini Counts for Selected Day", resetCountsForSelectedDate);
             GM_registerMenuCommand("Toggle Gemini Usage UI", toggleUIVisibility);
+            GM_registerMenuCommand("Set Gemini Quota Warning Thresholds", promptForQuotaThresholds);
+            GM_registerMenuCommand("Export Gemini Usage (JSON)", exportCountsAsJSON);
+            GM_registerMenuCommand("Export Gemini Usage (CSV)", exportCountsAsCSV);
+            GM_registerMenuCommand("Import Gemini Usage…", importCountsFromFile);
+            GM_registerMenuCommand("Gemini Tracker Storage Recovery…", showStorageRecovery);
+            GM_registerMenuCommand("Set Gemini Day Boundary…", promptForDayBoundary);
+            GM_registerMenuCommand("Set Gemini Tracker Keyboard Shortcuts…", promptForHotkeys);
             return true; // Stop observing
         }
         return false; // Continue observing
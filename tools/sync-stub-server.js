@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+// Local stand-in for the tracker's team sync endpoint, for testing only (no TLS, in-memory by default).
+//
+//   SYNC_TOKEN=secret PORT=8787 node tools/sync-stub-server.js [data.json]
+//
+// Then set the endpoint to http://localhost:8787 and the token to "secret" in the panel's Team Sync section.
+// Without SYNC_TOKEN a random token is generated and printed. It only listens on 127.0.0.1 unless HOST says
+// otherwise, since it speaks plain HTTP.
+// With a data file, accepted events are loaded from and written back to it so totals survive restarts.
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || '127.0.0.1';
+const TOKEN = process.env.SYNC_TOKEN || crypto.randomBytes(16).toString('hex');
+const DATA_FILE = process.argv[2] || null;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// Event id → { ...event, clientId }; keying by id makes re-sent events (retries, "Push history") harmless
+const events = new Map();
+
+if (DATA_FILE && fs.existsSync(DATA_FILE)) {
+    JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')).forEach(event => events.set(event.id, event));
+    console.log(`Loaded ${events.size} event(s) from ${DATA_FILE}`);
+}
+
+function persist() {
+    if (DATA_FILE) fs.writeFileSync(DATA_FILE, JSON.stringify([...events.values()], null, 2));
+}
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function isValidEvent(event) {
+    return event && typeof event.id === 'string' && event.id
+        && typeof event.model === 'string' && event.model
+        && DATE_PATTERN.test(event.date)
+        && Number.isInteger(event.delta);
+}
+
+function handleEvents(req, res) {
+    let raw = '';
+    let tooLarge = false;
+    req.on('data', chunk => {
+        if (tooLarge) return; // Drained and dropped, so the 413 reaches the client instead of a reset connection
+        raw += chunk;
+        if (raw.length > MAX_BODY_BYTES) {
+            tooLarge = true;
+            raw = '';
+            sendJSON(res, 413, { error: `Body larger than ${MAX_BODY_BYTES} bytes; send fewer events per request` });
+        }
+    });
+    req.on('end', () => {
+        if (tooLarge) return;
+        let body;
+        try {
+            body = JSON.parse(raw);
+        } catch (e) {
+            sendJSON(res, 400, { error: 'Body must be JSON' });
+            return;
+        }
+        if (!body || typeof body.clientId !== 'string' || !Array.isArray(body.events)) {
+            sendJSON(res, 400, { error: 'Expected { clientId, events: [] }' });
+            return;
+        }
+        let accepted = 0;
+        let duplicates = 0;
+        let rejected = 0;
+        body.events.forEach(event => {
+            if (!isValidEvent(event)) {
+                rejected++;
+            } else if (events.has(event.id)) {
+                duplicates++;
+            } else {
+                events.set(event.id, { ...event, clientId: body.clientId });
+                accepted++;
+            }
+        });
+        persist();
+        console.log(`${body.clientId}: ${accepted} accepted, ${duplicates} duplicate, ${rejected} rejected`);
+        sendJSON(res, 200, { accepted, duplicates, rejected });
+    });
+}
+
+function handleTotals(url, res) {
+    const start = url.searchParams.get('start');
+    const end = url.searchParams.get('end') || start;
+    if (!DATE_PATTERN.test(start) || !DATE_PATTERN.test(end)) {
+        sendJSON(res, 400, { error: 'start and end must be YYYY-MM-DD' });
+        return;
+    }
+    const totals = {};
+    const members = new Set();
+    events.forEach(event => {
+        if (event.date < start || event.date > end) return;
+        totals[event.model] = (totals[event.model] || 0) + event.delta;
+        members.add(event.clientId);
+    });
+    sendJSON(res, 200, { start, end, totals, members: members.size });
+}
+
+const server = http.createServer((req, res) => {
+    if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+        sendJSON(res, 401, { error: 'Missing or wrong bearer token' });
+        return;
+    }
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    if (req.method === 'POST' && url.pathname === '/events') {
+        handleEvents(req, res);
+    } else if (req.method === 'GET' && url.pathname === '/totals') {
+        handleTotals(url, res);
+    } else {
+        sendJSON(res, 404, { error: 'Not found' });
+    }
+});
+
+server.listen(PORT, HOST, () => {
+    console.log(`Gemini Tracker sync stub listening on http://${HOST}:${PORT} (token: ${TOKEN})`);
+});